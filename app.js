@@ -1,5 +1,10 @@
-// Application data
-const appData = {
+function secondsAgo(seconds) {
+  return new Date(Date.now() - seconds * 1000).toISOString();
+}
+
+// Fixture data served by the mock provider
+const mockLoadedAt = Date.now();
+const mockData = {
   "systemMetrics": {
     "uptime": "99.995%",
     "latency": "87ms",
@@ -7,6 +12,7 @@ const appData = {
     "accuracy": "99.991%",
     "errorRate": "0.009%",
     "eventsProcessed": "2,847,392",
+    "activeStreams": "5,284",
     "monthlyCost": "$1,847"
   },
   "liveEvents": [
@@ -17,8 +23,9 @@ const appData = {
       "awayTeam": "Buffalo Bills",
       "score": {"home": 21, "away": 17},
       "status": "Q3 - 8:47",
+      "state": {"phase": "live", "period": 3, "clock": 527},
       "source": "SportsDataIO",
-      "lastUpdate": "2 seconds ago"
+      "timestamp": secondsAgo(2)
     },
     {
       "id": "nba_lakers_warriors",
@@ -27,8 +34,9 @@ const appData = {
       "awayTeam": "Golden State Warriors",
       "score": {"home": 95, "away": 92},
       "status": "Q4 - 2:15",
+      "state": {"phase": "live", "period": 4, "clock": 135},
       "source": "Sportradar",
-      "lastUpdate": "1 second ago"
+      "timestamp": secondsAgo(1)
     },
     {
       "id": "mlb_yankees_redsox",
@@ -37,8 +45,9 @@ const appData = {
       "awayTeam": "Boston Red Sox",
       "score": {"home": 4, "away": 2},
       "status": "Bottom 7th",
+      "state": {"phase": "live", "inning": 7, "half": "bottom", "outs": 1, "runners": [true, false, true]},
       "source": "API-Sports",
-      "lastUpdate": "5 seconds ago"
+      "timestamp": secondsAgo(5)
     }
   ],
   "bettingOdds": [
@@ -47,18 +56,117 @@ const appData = {
       "bookmaker": "DraftKings",
       "moneyline": {"home": -110, "away": +95},
       "spread": {"line": -2.5, "home": -110, "away": -110},
-      "total": {"over": 47.5, "under": 47.5},
-      "lastUpdate": "3 seconds ago"
+      "total": {"line": 47.5, "over": -110, "under": -110},
+      "timestamp": secondsAgo(3)
+    },
+    {
+      "gameId": "nfl_chiefs_bills",
+      "bookmaker": "FanDuel",
+      "moneyline": {"home": -115, "away": +100},
+      "spread": {"line": -2.5, "home": -105, "away": -115},
+      "total": {"line": 48, "over": -110, "under": -110},
+      "timestamp": secondsAgo(4)
+    },
+    {
+      "gameId": "nfl_chiefs_bills",
+      "bookmaker": "BetMGM",
+      "moneyline": {"home": -108, "away": -105},
+      "spread": {"line": -2, "home": -115, "away": -105},
+      "total": {"line": 47.5, "over": -105, "under": -115},
+      "timestamp": secondsAgo(6)
     },
     {
       "gameId": "nba_lakers_warriors", 
       "bookmaker": "FanDuel",
       "moneyline": {"home": +105, "away": -125},
       "spread": {"line": +3, "home": -110, "away": -110},
-      "total": {"over": 215.5, "under": 215.5},
-      "lastUpdate": "1 second ago"
+      "total": {"line": 215.5, "over": -105, "under": -115},
+      "timestamp": secondsAgo(1)
+    },
+    {
+      "gameId": "nba_lakers_warriors",
+      "bookmaker": "DraftKings",
+      "moneyline": {"home": +110, "away": -130},
+      "spread": {"line": +3, "home": -112, "away": -108},
+      "total": {"line": 216, "over": -110, "under": -110},
+      "timestamp": secondsAgo(2)
+    },
+    {
+      "gameId": "mlb_yankees_redsox",
+      "bookmaker": "BetMGM",
+      "moneyline": {"home": -140, "away": +130},
+      "spread": {"line": -1.5, "home": +120, "away": -140},
+      "total": {"line": 8.5, "over": -110, "under": -110},
+      "timestamp": secondsAgo(5)
+    },
+    {
+      "gameId": "mlb_yankees_redsox",
+      "bookmaker": "Caesars",
+      "moneyline": {"home": -125, "away": +115},
+      "spread": {"line": -1.5, "home": +125, "away": -145},
+      "total": {"line": 8.5, "over": -115, "under": -105},
+      "timestamp": secondsAgo(8)
     }
   ],
+  // The same games as reported by every provider that covers them
+  "providerReports": [
+    {"gameId": "nfl_chiefs_bills", "source": "Sportradar", "score": {"home": 21, "away": 17}, "status": "Q3 - 8:49", "timestamp": secondsAgo(3)},
+    {"gameId": "nfl_chiefs_bills", "source": "API-Sports", "score": {"home": 21, "away": 17}, "status": "Q3 - 8:55", "timestamp": secondsAgo(9)},
+    {"gameId": "nba_lakers_warriors", "source": "SportsDataIO", "score": {"home": 95, "away": 92}, "status": "Q4 - 2:16", "timestamp": secondsAgo(2)},
+    {"gameId": "nba_lakers_warriors", "source": "API-Sports", "score": {"home": 95, "away": 92}, "status": "Q4 - 2:21", "timestamp": secondsAgo(7)},
+    {"gameId": "mlb_yankees_redsox", "source": "SportsDataIO", "score": {"home": 4, "away": 3}, "status": "Bottom 7th", "timestamp": secondsAgo(14)},
+    {"gameId": "mlb_yankees_redsox", "source": "Sportradar", "score": {"home": 4, "away": 2}, "status": "Bottom 7th", "timestamp": secondsAgo(6)}
+  ],
+  "eventDetails": {
+    "nfl_chiefs_bills": {
+      "periods": [
+        {"label": "Q1", "home": 7, "away": 3},
+        {"label": "Q2", "home": 7, "away": 7},
+        {"label": "Q3", "home": 7, "away": 7}
+      ],
+      "plays": [
+        {"period": "Q1", "clock": "9:12", "team": "away", "description": "Field goal, 41 yds", "score": {"home": 0, "away": 3}, "timestamp": secondsAgo(5400)},
+        {"period": "Q1", "clock": "2:40", "team": "home", "description": "Touchdown pass, 18 yds (PAT good)", "score": {"home": 7, "away": 3}, "timestamp": secondsAgo(4900)},
+        {"period": "Q2", "clock": "11:05", "team": "away", "description": "Touchdown run, 4 yds (PAT good)", "score": {"home": 7, "away": 10}, "timestamp": secondsAgo(4100)},
+        {"period": "Q2", "clock": "0:31", "team": "home", "description": "Touchdown pass, 27 yds (PAT good)", "score": {"home": 14, "away": 10}, "timestamp": secondsAgo(3000)},
+        {"period": "Q3", "clock": "12:48", "team": "home", "description": "Touchdown run, 2 yds (PAT good)", "score": {"home": 21, "away": 10}, "timestamp": secondsAgo(1500)},
+        {"period": "Q3", "clock": "9:55", "team": "away", "description": "Touchdown pass, 35 yds (PAT good)", "score": {"home": 21, "away": 17}, "timestamp": secondsAgo(900)}
+      ]
+    },
+    "nba_lakers_warriors": {
+      "periods": [
+        {"label": "Q1", "home": 24, "away": 26},
+        {"label": "Q2", "home": 25, "away": 22},
+        {"label": "Q3", "home": 27, "away": 24},
+        {"label": "Q4", "home": 19, "away": 20}
+      ],
+      "plays": [
+        {"period": "Q4", "clock": "4:02", "team": "away", "description": "3-pt jump shot", "score": {"home": 90, "away": 88}, "timestamp": secondsAgo(420)},
+        {"period": "Q4", "clock": "3:21", "team": "home", "description": "Driving layup", "score": {"home": 92, "away": 88}, "timestamp": secondsAgo(330)},
+        {"period": "Q4", "clock": "2:48", "team": "away", "description": "Pullup jump shot", "score": {"home": 92, "away": 90}, "timestamp": secondsAgo(240)},
+        {"period": "Q4", "clock": "2:31", "team": "home", "description": "3-pt jump shot", "score": {"home": 95, "away": 90}, "timestamp": secondsAgo(180)},
+        {"period": "Q4", "clock": "2:15", "team": "away", "description": "Dunk", "score": {"home": 95, "away": 92}, "timestamp": secondsAgo(120)}
+      ]
+    },
+    "mlb_yankees_redsox": {
+      "periods": [
+        {"label": "1", "home": 0, "away": 0},
+        {"label": "2", "home": 1, "away": 0},
+        {"label": "3", "home": 0, "away": 1},
+        {"label": "4", "home": 2, "away": 0},
+        {"label": "5", "home": 0, "away": 0},
+        {"label": "6", "home": 0, "away": 1},
+        {"label": "7", "home": 1, "away": 0}
+      ],
+      "plays": [
+        {"period": "Bot 2", "clock": "2 out", "team": "home", "description": "Solo home run to left", "score": {"home": 1, "away": 0}, "timestamp": secondsAgo(6600)},
+        {"period": "Top 3", "clock": "1 out", "team": "away", "description": "RBI double to right-center", "score": {"home": 1, "away": 1}, "timestamp": secondsAgo(6000)},
+        {"period": "Bot 4", "clock": "0 out", "team": "home", "description": "Two-run home run to right", "score": {"home": 3, "away": 1}, "timestamp": secondsAgo(4800)},
+        {"period": "Top 6", "clock": "2 out", "team": "away", "description": "RBI single to center", "score": {"home": 3, "away": 2}, "timestamp": secondsAgo(2700)},
+        {"period": "Bot 7", "clock": "1 out", "team": "home", "description": "Sacrifice fly to left", "score": {"home": 4, "away": 2}, "timestamp": secondsAgo(300)}
+      ]
+    }
+  },
   "apiStatus": [
     {
       "name": "SportsDataIO",
@@ -66,7 +174,7 @@ const appData = {
       "responseTime": "89ms",
       "quotaUsed": "67%",
       "errorRate": "0.01%",
-      "lastCall": "1 second ago"
+      "lastCall": secondsAgo(1)
     },
     {
       "name": "Sportradar",
@@ -74,7 +182,7 @@ const appData = {
       "responseTime": "45ms",
       "quotaUsed": "23%",
       "errorRate": "0.00%",
-      "lastCall": "2 seconds ago"
+      "lastCall": secondsAgo(2)
     },
     {
       "name": "The Odds API",
@@ -82,7 +190,7 @@ const appData = {
       "responseTime": "1,847ms",
       "quotaUsed": "89%", 
       "errorRate": "0.05%",
-      "lastCall": "47 seconds ago"
+      "lastCall": secondsAgo(47)
     },
     {
       "name": "API-Sports",
@@ -90,9 +198,15 @@ const appData = {
       "responseTime": "234ms",
       "quotaUsed": "45%",
       "errorRate": "0.02%", 
-      "lastCall": "12 seconds ago"
+      "lastCall": secondsAgo(12)
     }
   ],
+  "apiQuotas": [
+    {"name": "SportsDataIO", "limit": 2000000, "pollingInterval": 10, "monthlyFee": 500, "overagePer1k": 0.4},
+    {"name": "Sportradar", "limit": 5000000, "pollingInterval": 5, "monthlyFee": 600, "overagePer1k": 0.2},
+    {"name": "The Odds API", "limit": 100000, "pollingInterval": 60, "monthlyFee": 100, "overagePer1k": 1},
+    {"name": "API-Sports", "limit": 750000, "pollingInterval": 15, "monthlyFee": 150, "overagePer1k": 0.25}
+  ],
   "lambdaMetrics": [
     {
       "functionName": "data-ingestion",
@@ -100,7 +214,9 @@ const appData = {
       "duration": "156ms",
       "errors": "23",
       "successRate": "99.998%",
-      "memory": "512MB"
+      "memory": "512MB",
+      "concurrencyLimit": 1000,
+      "initDuration": "420ms"
     },
     {
       "functionName": "websocket-handler", 
@@ -108,7 +224,9 @@ const appData = {
       "duration": "67ms",
       "errors": "8",
       "successRate": "99.999%",
-      "memory": "256MB"
+      "memory": "256MB",
+      "concurrencyLimit": 1000,
+      "initDuration": "180ms"
     },
     {
       "functionName": "stream-processor",
@@ -116,7 +234,9 @@ const appData = {
       "duration": "234ms", 
       "errors": "15",
       "successRate": "99.999%",
-      "memory": "1024MB"
+      "memory": "1024MB",
+      "concurrencyLimit": 1000,
+      "initDuration": "650ms"
     }
   ],
   "costBreakdown": [
@@ -126,53 +246,922 @@ const appData = {
     {"service": "Data Transfer", "cost": 45, "percentage": 2.4},
     {"service": "External APIs", "cost": 1350, "percentage": 73.1},
     {"service": "Monitoring", "cost": 50, "percentage": 2.7}
+  ],
+  // Totals for the previous five months, oldest first
+  "monthlyCosts": [
+    {"Lambda": 92, "DynamoDB": 221, "API Gateway": 41, "Data Transfer": 40, "External APIs": 1215, "Monitoring": 45},
+    {"Lambda": 95, "DynamoDB": 228, "API Gateway": 43, "Data Transfer": 41, "External APIs": 1270, "Monitoring": 46},
+    {"Lambda": 97, "DynamoDB": 235, "API Gateway": 42, "Data Transfer": 42, "External APIs": 1135, "Monitoring": 47},
+    {"Lambda": 100, "DynamoDB": 240, "API Gateway": 45, "Data Transfer": 43, "External APIs": 1358, "Monitoring": 48},
+    {"Lambda": 104, "DynamoDB": 262, "API Gateway": 46, "Data Transfer": 44, "External APIs": 1398, "Monitoring": 48}
   ]
 };
 
+// Data currently shown by the dashboard, filled in by the active provider
+const appData = {
+  systemMetrics: {},
+  liveEvents: [],
+  bettingOdds: [],
+  apiStatus: [],
+  lambdaMetrics: [],
+  costBreakdown: [],
+  apiQuotas: [],
+  providerReports: [],
+  costHistory: { daily: [], monthly: [] }
+};
+
+// Data providers
+const dataLoaders = {
+  systemMetrics: 'getSystemMetrics',
+  liveEvents: 'getLiveEvents',
+  bettingOdds: 'getBettingOdds',
+  apiStatus: 'getApiStatus',
+  lambdaMetrics: 'getLambdaMetrics',
+  costBreakdown: 'getCostBreakdown',
+  apiQuotas: 'getApiQuotas',
+  providerReports: 'getProviderReports',
+  costHistory: 'getCostHistory'
+};
+
+const lambdaSeriesCache = {};
+let costHistoryCache = null;
+// Feed data is kept current by the live socket once loaded, so it is only fetched again while
+// the socket is down and the loaded copy may have missed updates
+const liveDataKeys = ['liveEvents', 'bettingOdds', 'providerReports'];
+const loadedLiveData = new Set();
+
+function createMockDataProvider(fixture) {
+  const read = key => () => Promise.resolve(JSON.parse(JSON.stringify(fixture[key])));
+
+  return {
+    name: 'mock',
+    getSystemMetrics: read('systemMetrics'),
+    getLiveEvents: read('liveEvents'),
+    getBettingOdds: read('bettingOdds'),
+    // API health is reported relative to now, as a live /health would be
+    getApiStatus: () => read('apiStatus')().then(apis => apis.map(api => ({
+      ...api,
+      lastCall: new Date(Date.parse(api.lastCall) + Date.now() - mockLoadedAt).toISOString()
+    }))),
+    getLambdaMetrics: read('lambdaMetrics'),
+    // Month-to-date spend, so the breakdown agrees with the daily history
+    getCostBreakdown: () => Promise.resolve(summarizeMonthToDate(getMockCostHistory(fixture))),
+    getCostHistory: () => Promise.resolve(JSON.parse(JSON.stringify(getMockCostHistory(fixture)))),
+    getProviderReports: read('providerReports'),
+    getApiQuotas: () => Promise.resolve(buildMockQuotaUsage(fixture)),
+    getEventDetail: id => Promise.resolve(JSON.parse(JSON.stringify(fixture.eventDetails[id] || { periods: [], plays: [] }))),
+    getLambdaSeries: range => {
+      // Cache per range so flipping between ranges shows the same history
+      if (!lambdaSeriesCache[range]) {
+        lambdaSeriesCache[range] = buildMockLambdaSeries(fixture.lambdaMetrics, range);
+      }
+      return Promise.resolve(JSON.parse(JSON.stringify(lambdaSeriesCache[range])));
+    }
+  };
+}
+
+// Billing periods run per calendar month; daily usage is spread so the period total
+// matches the fixture's quotaUsed percentage, with the last few days a little busier
+function buildMockQuotaUsage(fixture) {
+  const now = new Date();
+  const periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  const days = [];
+  for (let day = new Date(periodStart); day <= now; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+  // Today only counts for the part of the day that has passed
+  const todayShare = (now - days[days.length - 1]) / 86400000;
+  const weights = days.map((day, i) => (i === days.length - 1 ? todayShare : 1) * (i >= days.length - 4 ? 1.15 : 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return fixture.apiQuotas.map(quota => {
+    const api = fixture.apiStatus.find(a => a.name === quota.name);
+    const used = quota.limit * parseMetricNumber(api ? api.quotaUsed : 0) / 100;
+    return {
+      ...quota,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      dailyUsage: days.map((day, i) => ({
+        date: day.toISOString(),
+        calls: Math.round(used * weights[i] / totalWeight)
+      }))
+    };
+  });
+}
+
+// The fixture's costBreakdown is treated as a month's run rate and spread over the last
+// 35 full days with a little daily wobble; yesterday's External APIs spend is a spike
+function getMockCostHistory(fixture) {
+  if (costHistoryCache) return costHistoryCache;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const daily = [];
+  for (let daysBack = 35; daysBack >= 1; daysBack--) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - daysBack);
+    const costs = {};
+    fixture.costBreakdown.forEach((item, i) => {
+      const wobble = 1 + 0.08 * Math.sin(daysBack * 1.7 + i);
+      const spike = daysBack === 1 && item.service === 'External APIs' ? 2.2 : 1;
+      costs[item.service] = Math.round(item.cost / 30 * wobble * spike * 100) / 100;
+    });
+    daily.push({ date: date.toISOString(), costs });
+  }
+
+  const monthly = fixture.monthlyCosts.map((costs, i) => ({
+    month: new Date(today.getFullYear(), today.getMonth() - fixture.monthlyCosts.length + i, 1).toISOString(),
+    costs
+  }));
+
+  costHistoryCache = { daily, monthly };
+  return costHistoryCache;
+}
+
+// History runs to yesterday, so on the 1st the month has no days yet and the breakdown
+// shows last month instead
+function summarizeMonthToDate(history, now = new Date()) {
+  const monthToDate = getMonthToDateCosts(history, now);
+  const totals = Object.keys(monthToDate).length
+    ? monthToDate
+    : getMonthToDateCosts(history, new Date(now.getFullYear(), now.getMonth(), 0));
+  const total = Object.values(totals).reduce((sum, cost) => sum + cost, 0);
+  return Object.entries(totals).map(([service, cost]) => ({
+    service,
+    cost: Math.round(cost),
+    percentage: total ? Math.round(cost / total * 1000) / 10 : 0
+  }));
+}
+
+// The fixture's lambdaMetrics are treated as 24-hour totals and spread across buckets
+// with a daily traffic curve
+function buildMockLambdaSeries(lambdaMetrics, range) {
+  const { duration, bucketSize } = timeRanges[range];
+  const bucketCount = duration / bucketSize;
+  const end = Math.floor(Date.now() / bucketSize) * bucketSize;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => new Date(end - (bucketCount - 1 - i) * bucketSize).toISOString());
+
+  return {
+    range,
+    bucketSize,
+    buckets,
+    functions: lambdaMetrics.map(lambda => {
+      const perMs = parseMetricNumber(lambda.invocations) / timeRanges['24h'].duration;
+      const errorRatio = parseMetricNumber(lambda.errors) / parseMetricNumber(lambda.invocations);
+      const baseDuration = parseMetricNumber(lambda.duration);
+      const baseInit = parseMetricNumber(lambda.initDuration);
+      const allocatedMemory = parseMetricNumber(lambda.memory);
+      const invocations = buckets.map(bucket => {
+        const hour = new Date(bucket).getHours();
+        const dailyCurve = 1 + 0.4 * Math.sin(((hour - 6) / 24) * 2 * Math.PI);
+        return Math.round(perMs * bucketSize * dailyCurve * (0.9 + Math.random() * 0.2));
+      });
+
+      const duration = invocations.map(() => Math.round(baseDuration * (0.85 + Math.random() * 0.3)));
+      const coldStarts = invocations.map(count => Math.round(count * 0.002 * Math.random()));
+
+      return {
+        functionName: lambda.functionName,
+        invocations,
+        duration,
+        durationP50: duration.map(ms => Math.round(ms * (0.8 + Math.random() * 0.1))),
+        durationP90: duration.map(ms => Math.round(ms * (1.5 + Math.random() * 0.3))),
+        durationP99: duration.map(ms => Math.round(ms * (2.6 + Math.random() * 0.8))),
+        errors: invocations.map(count => Math.round(count * errorRatio * Math.random() * 2)),
+        throttles: invocations.map(() => Math.random() > 0.85 ? Math.ceil(Math.random() * 5) : 0),
+        coldStarts,
+        initDuration: coldStarts.map(() => Math.round(baseInit * (0.9 + Math.random() * 0.3))),
+        // Peak concurrency runs a few times above the bucket's average (rate x duration)
+        concurrentExecutions: invocations.map((count, i) => Math.ceil((count / bucketSize) * duration[i] * (2 + Math.random() * 3))),
+        memoryUsed: invocations.map(() => Math.round(allocatedMemory * (0.45 + Math.random() * 0.25)))
+      };
+    })
+  };
+}
+
+function createRestDataProvider(baseUrl) {
+  let healthRequest = null;
+
+  async function fetchJson(path) {
+    const response = await fetch(`${baseUrl}${path}`, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`GET ${path} failed with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Every page asks for several health sections at once, so share one request
+  function getHealth() {
+    if (!healthRequest) {
+      healthRequest = fetchJson('/health').finally(() => {
+        healthRequest = null;
+      });
+    }
+    return healthRequest;
+  }
+
+  return {
+    name: 'rest',
+    getSystemMetrics: () => getHealth().then(health => health.systemMetrics || {}),
+    getLiveEvents: () => fetchJson('/events').then(body => Array.isArray(body) ? body : body.events || []),
+    getBettingOdds: () => fetchJson('/events?type=odds').then(body => Array.isArray(body) ? body : body.odds || []),
+    getProviderReports: () => fetchJson('/events?type=reports').then(body => Array.isArray(body) ? body : body.reports || []),
+    getApiStatus: () => getHealth().then(health => health.apiStatus || []),
+    getLambdaMetrics: () => getHealth().then(health => health.lambdaMetrics || []),
+    getCostBreakdown: () => getHealth().then(health => health.costBreakdown || []),
+    getCostHistory: () => fetchJson('/metrics/cost'),
+    getApiQuotas: () => getHealth().then(health => health.apiQuotas || []),
+    getEventDetail: id => fetchJson(`/events/${encodeURIComponent(id)}`),
+    getLambdaSeries: range => fetchJson(`/metrics/lambda?range=${encodeURIComponent(range)}`)
+  };
+}
+
+// ?source=rest&api=http://localhost:3000 points the dashboard at a local stand-in server;
+// the live feed connects to ws://localhost:3000/ws unless ?ws= overrides it
+function resolveDataSourceConfig() {
+  const params = new URLSearchParams(window.location.search);
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem('dataSource')) || {};
+  } catch (error) {
+    stored = {};
+  }
+
+  const baseUrl = (params.get('api') || stored.baseUrl || 'http://localhost:3000').replace(/\/$/, '');
+  return {
+    type: params.get('source') || stored.type || 'mock',
+    baseUrl,
+    wsUrl: params.get('ws') || stored.wsUrl || `${baseUrl.replace(/^http/, 'ws')}/ws`
+  };
+}
+
+function createDataProvider(config) {
+  switch(config.type) {
+    case 'rest':
+      return createRestDataProvider(config.baseUrl);
+    default:
+      return createMockDataProvider(mockData);
+  }
+}
+
+const dataSourceConfig = resolveDataSourceConfig();
+const dataProvider = createDataProvider(dataSourceConfig);
+
+function isLiveDataCurrent(key) {
+  return loadedLiveData.has(key) && liveConnectionStatus === 'connected';
+}
+
+async function loadData(keys) {
+  await Promise.all(keys.filter(key => !isLiveDataCurrent(key)).map(async key => {
+    try {
+      const data = await dataProvider[dataLoaders[key]]();
+      appData[key] = payloadSchemas[key] ? acceptPayloads(key, data) : data;
+      if (liveDataKeys.includes(key)) {
+        loadedLiveData.add(key);
+      }
+      markDataUpdated();
+    } catch (error) {
+      console.error(`Failed to load ${key} from ${dataProvider.name} provider:`, error);
+    }
+  }));
+  evaluateAlertRules();
+}
+
+function markDataUpdated(timestamp = new Date().toISOString()) {
+  const lastUpdatedElement = document.getElementById('last-updated');
+  if (lastUpdatedElement) {
+    lastUpdatedElement.dataset.timestamp = timestamp;
+  }
+}
+
+// Payload validation
+// Events, odds and provider reports are normalized from each provider's native shape into
+// the canonical model before they reach appData. Records that still don't validate are
+// quarantined and counted against the provider that sent them.
+const oddsProvider = 'The Odds API';
+const quarantineLimit = 50;
+const quarantine = { records: [], rejected: {} };
+
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+function normalizeScore(score) {
+  if (!score || typeof score !== 'object') return score;
+  return { home: toNumber(score.home), away: toNumber(score.away) };
+}
+
+// Native payloads leave out what a partial update doesn't change, so a missing score stays
+// missing rather than becoming { home: undefined, away: undefined }
+function normalizeNativeScore(home, away) {
+  return home === undefined && away === undefined ? undefined : normalizeScore({ home, away });
+}
+
+// Leagues name the sport in some native payloads, e.g. API-Sports' league.name
+function getLeagueSport(league) {
+  const name = league && (league.alias || league.name);
+  return name ? Object.keys(defaultProviderPriority).find(sport => sport.toLowerCase() === String(name).toLowerCase()) : undefined;
+}
+
+// Native shapes are recognised by their provider-specific fields; anything else is taken as
+// already canonical, which is what the ingestion Lambdas and the mock provider send
+const providerNormalizers = {
+  SportsDataIO: {
+    isNative: raw => 'GameID' in raw || 'GameKey' in raw,
+    event: raw => ({
+      id: String(raw.GameKey || raw.GameID),
+      // GameKey is only used by the NFL feed
+      sport: raw.sport || ('GameKey' in raw ? 'NFL' : undefined),
+      homeTeam: raw.HomeTeam,
+      awayTeam: raw.AwayTeam,
+      score: normalizeNativeScore(raw.HomeScore, raw.AwayScore),
+      status: raw.Status === 'InProgress' && raw.Quarter
+        ? `Q${raw.Quarter} - ${raw.TimeRemainingMinutes || 0}:${String(raw.TimeRemainingSeconds || 0).padStart(2, '0')}`
+        : raw.Status,
+      source: 'SportsDataIO',
+      timestamp: raw.Updated || raw.DateTime
+    })
+  },
+  Sportradar: {
+    isNative: raw => Boolean(raw.home && typeof raw.home === 'object'),
+    event: raw => ({
+      id: raw.id,
+      sport: raw.sport || getLeagueSport(raw.league),
+      homeTeam: raw.home.name,
+      awayTeam: raw.away && raw.away.name,
+      score: normalizeNativeScore(
+        raw.home.points !== undefined ? raw.home.points : raw.home.runs,
+        raw.away && (raw.away.points !== undefined ? raw.away.points : raw.away.runs)
+      ),
+      status: raw.status === 'closed' || raw.status === 'complete'
+        ? 'Final'
+        : [raw.quarter ? `Q${raw.quarter}` : raw.period && `P${raw.period}`, raw.clock].filter(Boolean).join(' - ') || raw.status,
+      source: 'Sportradar',
+      timestamp: raw.updated
+    })
+  },
+  'API-Sports': {
+    isNative: raw => Boolean(raw.fixture || raw.teams || (raw.game && typeof raw.game === 'object')),
+    event: raw => {
+      const game = raw.fixture || raw.game || {};
+      const status = game.status || raw.status || {};
+      const scores = raw.goals || raw.scores || {};
+      // Football reports goals as numbers, the other sports as { total } per side
+      const total = side => scores[side] && typeof scores[side] === 'object' ? scores[side].total : scores[side];
+      return {
+        id: game.id === undefined ? undefined : String(game.id),
+        sport: raw.sport || getLeagueSport(raw.league),
+        homeTeam: raw.teams && raw.teams.home && raw.teams.home.name,
+        awayTeam: raw.teams && raw.teams.away && raw.teams.away.name,
+        score: normalizeNativeScore(total('home'), total('away')),
+        status: status.elapsed ? `${status.short} - ${status.elapsed}'` : status.long || status.short,
+        source: 'API-Sports',
+        timestamp: game.date
+      };
+    }
+  },
+  // One game carries every bookmaker's markets; prices come back decimal
+  [oddsProvider]: {
+    isNative: raw => Array.isArray(raw.bookmakers),
+    odds: raw => {
+      const event = appData.liveEvents.find(e => e.homeTeam === raw.home_team && e.awayTeam === raw.away_team);
+      const price = value => typeof value === 'number' && Math.abs(value) < 100 ? decimalToAmerican(value) : value;
+      return raw.bookmakers.map(bookmaker => {
+        const markets = new Map((bookmaker.markets || []).map(market => [market.key, market.outcomes || []]));
+        const outcome = (key, name) => (markets.get(key) || []).find(o => o.name === name) || {};
+        return {
+          gameId: event ? event.id : raw.id,
+          bookmaker: bookmaker.title,
+          moneyline: { home: price(outcome('h2h', raw.home_team).price), away: price(outcome('h2h', raw.away_team).price) },
+          spread: {
+            line: outcome('spreads', raw.home_team).point,
+            home: price(outcome('spreads', raw.home_team).price),
+            away: price(outcome('spreads', raw.away_team).price)
+          },
+          total: {
+            line: outcome('totals', 'Over').point,
+            over: price(outcome('totals', 'Over').price),
+            under: price(outcome('totals', 'Under').price)
+          },
+          timestamp: bookmaker.last_update
+        };
+      });
+    }
+  }
+};
+
+// Payloads without a source tag are credited to the provider whose native shape they have
+function getEventProvider(raw) {
+  if (raw.source) return raw.source;
+  return Object.keys(providerNormalizers).find(provider => {
+    const normalizer = providerNormalizers[provider];
+    return normalizer.event && normalizer.isNative(raw);
+  });
+}
+
+function withoutUndefined(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
+
+function toEventSlug(team) {
+  return team.split(' ').pop().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Native ids are the provider's own (GameKey, game.id, fixture.id). The first payload naming
+// both teams ties one to the canonical event, and later partial updates that carry only the
+// provider id are matched through the remembered pair.
+const providerEventIds = new Map();
+
+function toCanonicalEvent(provider, record) {
+  const key = `${provider}:${record.id}`;
+  const known = appData.liveEvents.find(e => e.id === providerEventIds.get(key))
+    || appData.liveEvents.find(e => e.homeTeam === record.homeTeam && e.awayTeam === record.awayTeam);
+  const sport = known ? known.sport : record.sport;
+  let id = record.id;
+  if (known) {
+    id = known.id;
+  } else if (sport && record.homeTeam && record.awayTeam) {
+    id = [sport.toLowerCase(), toEventSlug(record.homeTeam), toEventSlug(record.awayTeam)].join('_');
+  }
+  if (id !== record.id) {
+    providerEventIds.set(key, id);
+  }
+  return withoutUndefined({ ...record, id, sport });
+}
+
+function normalizeEventPayload(raw) {
+  const provider = getEventProvider(raw);
+  const normalizer = providerNormalizers[provider];
+  if (normalizer && normalizer.event && normalizer.isNative(raw)) {
+    return [withGameState(toCanonicalEvent(provider, normalizer.event(raw)))];
+  }
+  return [withGameState({ ...raw, ...(raw.score !== undefined ? { score: normalizeScore(raw.score) } : {}) })];
+}
+
+// Status text and structured state are kept in step, so an update carrying only one of
+// them never leaves the other stale
+function withGameState(record) {
+  const known = appData.liveEvents.find(e => e.id === record.id);
+  const sport = record.sport || (known && known.sport);
+  if (record.state && typeof record.state === 'object') {
+    return record.status === undefined ? { ...record, status: formatGameState(sport, record.state) } : record;
+  }
+  return record.status === undefined ? record : { ...record, state: parseGameState(sport, record.status) };
+}
+
+function normalizeOddsPayload(raw) {
+  const normalizer = providerNormalizers[raw.source || oddsProvider];
+  if (normalizer && normalizer.odds && normalizer.isNative(raw)) {
+    return normalizer.odds(raw);
+  }
+  const record = { ...raw };
+  ['moneyline', 'spread', 'total'].forEach(market => {
+    if (record[market] && typeof record[market] === 'object') {
+      record[market] = Object.fromEntries(Object.entries(record[market]).map(([key, value]) => [key, toNumber(value)]));
+    }
+  });
+  return [record];
+}
+
+// Reports are events from a secondary provider, keyed by the game they describe
+function normalizeReportPayload(raw) {
+  return normalizeEventPayload(raw.gameId === undefined ? raw : { ...raw, id: raw.gameId }).map(event => ({
+    gameId: event.id,
+    source: event.source,
+    score: event.score,
+    status: event.status,
+    timestamp: event.timestamp
+  }));
+}
+
+function findFieldProblems(record, fields) {
+  const problems = [];
+  Object.entries(fields).forEach(([path, type]) => {
+    const value = path.split('.').reduce((parent, key) => parent && typeof parent === 'object' ? parent[key] : undefined, record);
+    if (value === undefined || value === null || value === '') {
+      problems.push(`${path} is missing`);
+    } else if (type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+      problems.push(`${path} is not a number`);
+    } else if (type === 'string' && typeof value !== 'string') {
+      problems.push(`${path} is not a string`);
+    } else if (type === 'timestamp' && Number.isNaN(Date.parse(value))) {
+      problems.push(`${path} is not a valid time`);
+    }
+  });
+  return problems;
+}
+
+function validateEvent(event) {
+  return findFieldProblems(event, {
+    id: 'string',
+    sport: 'string',
+    homeTeam: 'string',
+    awayTeam: 'string',
+    'score.home': 'number',
+    'score.away': 'number',
+    status: 'string',
+    source: 'string',
+    timestamp: 'timestamp'
+  });
+}
+
+function validateOdds(odds) {
+  return findFieldProblems(odds, {
+    gameId: 'string',
+    bookmaker: 'string',
+    'moneyline.home': 'number',
+    'moneyline.away': 'number',
+    'spread.line': 'number',
+    'spread.home': 'number',
+    'spread.away': 'number',
+    'total.line': 'number',
+    'total.over': 'number',
+    'total.under': 'number',
+    timestamp: 'timestamp'
+  });
+}
+
+function validateReport(report) {
+  return findFieldProblems(report, {
+    gameId: 'string',
+    source: 'string',
+    'score.home': 'number',
+    'score.away': 'number',
+    status: 'string',
+    timestamp: 'timestamp'
+  });
+}
+
+const payloadSchemas = {
+  liveEvents: {
+    label: 'event',
+    provider: getEventProvider,
+    normalize: normalizeEventPayload,
+    validate: validateEvent,
+    find: event => appData.liveEvents.find(e => e.id === event.id)
+  },
+  bettingOdds: {
+    label: 'odds',
+    provider: raw => raw.source || oddsProvider,
+    normalize: normalizeOddsPayload,
+    validate: validateOdds,
+    find: odds => appData.bettingOdds.find(o => o.gameId === odds.gameId && o.bookmaker === odds.bookmaker)
+  },
+  providerReports: {
+    label: 'report',
+    provider: getEventProvider,
+    normalize: normalizeReportPayload,
+    validate: validateReport,
+    find: () => null
+  }
+};
+
+// Partial updates from the live feed are validated as they would be once merged into the
+// record they update; a record that isn't known yet has to be complete
+function acceptPayloads(key, payloads, { partial = false } = {}) {
+  const schema = payloadSchemas[key];
+  if (!Array.isArray(payloads)) {
+    quarantinePayload(key, 'Unknown', payloads, [`expected a list of ${schema.label} records`]);
+    return [];
+  }
+
+  const receivedAt = new Date().toISOString();
+  return payloads.flatMap(payload => {
+    if (!payload || typeof payload !== 'object') {
+      quarantinePayload(key, 'Unknown', payload, ['payload is not an object']);
+      return [];
+    }
+
+    const provider = schema.provider(payload) || 'Unknown';
+    let records;
+    try {
+      records = schema.normalize(payload);
+    } catch (error) {
+      quarantinePayload(key, provider, payload, [`could not be normalized: ${error.message}`]);
+      return [];
+    }
+
+    return records.filter(record => {
+      const existing = partial && schema.find(record);
+      const candidate = existing
+        ? { ...existing, ...record }
+        : { ...record, timestamp: record.timestamp || receivedAt };
+      const problems = schema.validate(candidate);
+      if (problems.length) {
+        quarantinePayload(key, provider, payload, problems);
+      } else if (!existing && !record.timestamp) {
+        record.timestamp = receivedAt;
+      }
+      return !problems.length;
+    });
+  });
+}
+
+function quarantinePayload(key, provider, payload, problems) {
+  quarantine.rejected[provider] = (quarantine.rejected[provider] || 0) + 1;
+  quarantine.records.unshift({
+    kind: payloadSchemas[key].label,
+    provider,
+    problems,
+    payload,
+    receivedAt: new Date().toISOString()
+  });
+  quarantine.records.length = Math.min(quarantine.records.length, quarantineLimit);
+  renderQuarantine();
+}
+
+function renderQuarantine() {
+  document.querySelectorAll('[data-rejected-count]').forEach(element => {
+    const count = quarantine.rejected[element.dataset.rejectedCount] || 0;
+    element.textContent = count.toLocaleString();
+    element.classList.toggle('has-rejections', count > 0);
+  });
+
+  const count = document.getElementById('quarantine-count');
+  if (count) {
+    const total = Object.values(quarantine.rejected).reduce((sum, value) => sum + value, 0);
+    count.textContent = total.toLocaleString();
+    count.className = `status status--${total ? 'warning' : 'success'}`;
+  }
+
+  const container = document.getElementById('quarantine-list');
+  if (!container) return;
+
+  container.innerHTML = quarantine.records.length
+    ? html`${quarantine.records.map(record => html`
+        <div class="quarantine-item">
+          <div class="event-header">
+            <div class="event-teams">${record.provider} · ${record.kind}</div>
+            ${renderTimestamp(record.receivedAt, 'quarantine-time')}
+          </div>
+          <ul class="quarantine-problems">
+            ${record.problems.map(problem => html`<li>${problem}</li>`)}
+          </ul>
+          <pre class="quarantine-payload">${JSON.stringify(record.payload)}</pre>
+        </div>
+      `)}`
+    : '<div class="empty-state">No payloads have been rejected.</div>';
+}
+
+// Safe templating
+// Markup is built with the html`` tag, which escapes every interpolated value unless it is
+// already SafeHtml. Arrays are joined, and null, undefined and false render nothing.
+// trustedHtml() is the explicit opt-in for markup that must not be escaped.
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+const htmlEscapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+function trustedHtml(markup) {
+  return new SafeHtml(String(markup));
+}
+
+function renderHtmlValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, index) =>
+    markup + renderHtmlValue(values[index - 1]) + string));
+}
+
+// Relative times
+// Seconds without an update before a card is flagged stale. Overridden per sport from the
+// API Management page and kept in localStorage.stalenessThresholds
+const defaultStalenessThresholds = {
+  NFL: 30,
+  NBA: 20,
+  MLB: 60,
+  NHL: 30,
+  Soccer: 60,
+  default: 60
+};
+
+function getStalenessThresholds() {
+  try {
+    return { ...defaultStalenessThresholds, ...JSON.parse(localStorage.getItem('stalenessThresholds')) };
+  } catch (error) {
+    return defaultStalenessThresholds;
+  }
+}
+
+function setStalenessThreshold(sport, seconds) {
+  const stored = { ...getStalenessThresholds(), [sport]: seconds };
+  localStorage.setItem('stalenessThresholds', JSON.stringify(stored));
+}
+
+function renderStalenessThresholds() {
+  const form = document.getElementById('staleness-thresholds');
+  if (!form) return;
+
+  const thresholds = getStalenessThresholds();
+  form.innerHTML = html`${Object.keys(defaultStalenessThresholds).map(sport => html`
+    <label class="threshold-field">
+      <span class="threshold-sport">${sport === 'default' ? 'Other sports' : sport}</span>
+      <input type="number" class="form-control" name="${sport}" min="1" step="1" value="${thresholds[sport]}" aria-label="${sport} staleness threshold in seconds">
+      <span class="threshold-unit">s</span>
+    </label>
+  `)}`;
+}
+
+function setupStalenessThresholds() {
+  const form = document.getElementById('staleness-thresholds');
+  const resetButton = document.getElementById('reset-staleness-thresholds');
+  if (!form || form.dataset.bound) return;
+
+  form.dataset.bound = 'true';
+  form.addEventListener('change', (e) => {
+    const seconds = Math.floor(Number(e.target.value));
+    if (!Number.isFinite(seconds) || seconds < 1) {
+      e.target.value = getStalenessThresholds()[e.target.name];
+      return;
+    }
+    setStalenessThreshold(e.target.name, seconds);
+    tickRelativeTimes();
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      localStorage.removeItem('stalenessThresholds');
+      renderStalenessThresholds();
+      tickRelativeTimes();
+    });
+  }
+}
+
+function formatRelativeTime(timestamp, now = Date.now()) {
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) return 'unknown';
+
+  const seconds = Math.max(0, Math.round((now - time) / 1000));
+  if (seconds < 1) return 'just now';
+
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1]
+  ];
+  const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds);
+  const value = Math.floor(seconds / size);
+  return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+}
+
+function renderTimestamp(timestamp, className) {
+  return html`<div class="${className}" data-timestamp="${timestamp}">${formatRelativeTime(timestamp)}</div>`;
+}
+
+function tickRelativeTimes() {
+  const now = Date.now();
+  document.querySelectorAll('[data-timestamp]').forEach(el => {
+    el.textContent = formatRelativeTime(el.dataset.timestamp, now);
+  });
+
+  const thresholds = getStalenessThresholds();
+  document.querySelectorAll('.event-item, .odds-item').forEach(item => {
+    const updated = item.querySelector('.event-updated[data-timestamp]');
+    if (!updated) return;
+
+    const threshold = thresholds[item.dataset.sport] || thresholds.default;
+    const age = (now - new Date(updated.dataset.timestamp).getTime()) / 1000;
+    item.classList.toggle('is-stale', age > threshold);
+  });
+}
+
 // Chart instances
 let charts = {};
 
 // Navigation
+// Pages reached from inside another page keep that page's nav link highlighted
+const pageNavParents = {
+  'event-detail': 'live-feed'
+};
+
 function initializeNavigation() {
   const navLinks = document.querySelectorAll('.nav-link');
-  const pages = document.querySelectorAll('.page');
 
   navLinks.forEach(link => {
     link.addEventListener('click', (e) => {
       e.preventDefault();
-      const targetPage = link.getAttribute('data-page');
-      
-      // Update navigation
-      navLinks.forEach(nl => nl.classList.remove('active'));
-      link.classList.add('active');
-      
-      // Update pages
-      pages.forEach(page => page.classList.remove('active'));
-      document.getElementById(targetPage).classList.add('active');
-      
-      // Initialize page-specific functionality
-      initializePage(targetPage);
+      navigateTo(link.getAttribute('data-page'));
     });
   });
+
+  window.addEventListener('hashchange', applyRoute);
+}
+
+// Routing
+// Routes look like #/live-feed?sport=NBA, #/monitoring?range=7d or #/event/nfl_chiefs_bills
+function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const params = Object.fromEntries(new URLSearchParams(query));
+  const [pageId, id] = path.split('/');
+
+  if (pageId === 'event' && id) {
+    return { pageId: 'event-detail', params: { ...params, eventId: decodeURIComponent(id) } };
+  }
+  const page = document.getElementById(pageId);
+  if (!page || !page.classList.contains('page') || pageId === 'event-detail') {
+    return { pageId: 'dashboard', params: {} };
+  }
+  return { pageId, params };
+}
+
+function buildRoute(pageId, params = {}) {
+  const { eventId, ...query } = params;
+  const path = pageId === 'event-detail' ? `event/${encodeURIComponent(eventId)}` : pageId;
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return `#/${path}${search ? `?${search}` : ''}`;
+}
+
+function applyRoute() {
+  const { pageId, params } = parseRoute(window.location.hash);
+  showPage(pageId, params);
+}
+
+// Setting the hash adds a history entry; the hashchange listener then shows the page
+function navigateTo(pageId, params = {}) {
+  const hash = buildRoute(pageId, params);
+  if (window.location.hash === hash) {
+    showPage(pageId, params);
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+// Each filter change is its own history entry, so back and forward step through them; the
+// hashchange fired on traversal shows the page with that entry's params
+function updateRouteParams(params) {
+  const { pageId, params: current } = parseRoute(window.location.hash);
+  const hash = buildRoute(pageId, { ...current, ...params });
+  if (hash !== window.location.hash) {
+    history.pushState(null, '', hash);
+  }
+}
+
+function showPage(pageId, params = {}) {
+  const navPage = pageNavParents[pageId] || pageId;
+
+  // Update navigation
+  document.querySelectorAll('.nav-link').forEach(nl => {
+    nl.classList.toggle('active', nl.getAttribute('data-page') === navPage);
+  });
+
+  // Update pages
+  document.querySelectorAll('.page').forEach(page => page.classList.remove('active'));
+  document.getElementById(pageId).classList.add('active');
+
+  // Initialize page-specific functionality
+  initializePage(pageId, params);
 }
 
 // Initialize specific page functionality
-function initializePage(pageId) {
+function initializePage(pageId, params = {}) {
   switch(pageId) {
     case 'dashboard':
       initializeDashboard();
       break;
     case 'live-feed':
-      initializeLiveFeed();
+      initializeLiveFeed(params);
+      break;
+    case 'event-detail':
+      initializeEventDetail(params.eventId);
       break;
     case 'architecture':
       initializeArchitecture();
       break;
     case 'api-management':
-      initializeApiManagement();
+      initializeApiManagement(params);
       break;
     case 'monitoring':
-      initializeMonitoring();
+      initializeMonitoring(params);
       break;
     case 'cost-analysis':
       initializeCostAnalysis();
@@ -182,22 +1171,13 @@ function initializePage(pageId) {
 
 // Dashboard initialization
 function initializeDashboard() {
-  updateDashboardMetrics();
-  createThroughputChart();
-  createCostChart();
-  updateEventsSummary();
+  setupDashboardLayouts();
+  renderDashboardControls();
+  refreshDashboardWidgets();
 }
 
-function updateDashboardMetrics() {
-  const metrics = appData.systemMetrics;
-  document.getElementById('uptime').textContent = metrics.uptime;
-  document.getElementById('latency').textContent = metrics.latency;
-  document.getElementById('throughput').textContent = metrics.throughput.split(' ')[0];
-  document.getElementById('accuracy').textContent = metrics.accuracy;
-}
-
-function createThroughputChart() {
-  const ctx = document.getElementById('throughputChart');
+function createThroughputChart(canvasId = 'throughputChart', chartKey = 'throughput') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
   // Generate sample data for the last 24 hours
@@ -211,11 +1191,11 @@ function createThroughputChart() {
     data.push(Math.floor(Math.random() * 2000) + 6000);
   }
 
-  if (charts.throughput) {
-    charts.throughput.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.throughput = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'line',
     data: {
       labels: labels,
@@ -253,15 +1233,15 @@ function createThroughputChart() {
   });
 }
 
-function createCostChart() {
-  const ctx = document.getElementById('costChart');
+function createCostChart(canvasId = 'costChart', chartKey = 'cost') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.cost) {
-    charts.cost.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.cost = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'doughnut',
     data: {
       labels: appData.costBreakdown.map(item => item.service),
@@ -286,112 +1266,2719 @@ function createCostChart() {
   });
 }
 
-function updateEventsSummary() {
-  document.getElementById('total-events').textContent = appData.systemMetrics.eventsProcessed;
-  document.getElementById('active-streams').textContent = '5,284';
-  document.getElementById('monthly-cost').textContent = appData.systemMetrics.monthlyCost;
-}
+// Dashboard widgets
+// Every widget is a type plus options; layouts are ordered widget lists saved by name in
+// localStorage.dashboardLayouts. Built-in layouts can be edited, and deleting an edited
+// built-in restores it. Names come from users and imported files, so saved layouts are kept in
+// a Map and built-ins are only looked up by their own names; '__proto__' is just a name.
+const dashboardMetrics = {
+  uptime: { label: 'System Uptime', icon: '⚡', data: ['systemMetrics'], value: () => appData.systemMetrics.uptime },
+  latency: { label: 'Avg Latency', icon: '🚀', data: ['systemMetrics'], value: () => appData.systemMetrics.latency },
+  throughput: {
+    label: 'Streams/sec',
+    icon: '📊',
+    data: ['systemMetrics'],
+    value: () => appData.systemMetrics.throughput && appData.systemMetrics.throughput.split(' ')[0]
+  },
+  accuracy: {
+    label: 'Data Accuracy',
+    icon: '🎯',
+    data: ['liveEvents', 'providerReports'],
+    value: () => getAccuracy() === null ? 'N/A' : `${(getAccuracy() * 100).toFixed(3)}%`,
+    detail: () => `${reconciliation.agreements.toLocaleString()} of ${reconciliation.comparisons.toLocaleString()} cross-provider comparisons agreed`
+  },
+  errorRate: { label: 'Error Rate', icon: '⚠️', data: ['systemMetrics'], value: () => appData.systemMetrics.errorRate },
+  eventsProcessed: { label: 'Total Events Processed', icon: '📥', data: ['systemMetrics'], value: () => appData.systemMetrics.eventsProcessed },
+  activeStreams: { label: 'Active Data Streams', icon: '📡', data: ['systemMetrics'], value: () => appData.systemMetrics.activeStreams },
+  monthlyCost: { label: 'Monthly Cost', icon: '💰', data: ['systemMetrics'], value: () => appData.systemMetrics.monthlyCost },
+  projectedCost: {
+    label: 'Projected Month-End Cost',
+    icon: '📈',
+    data: ['costBreakdown', 'costHistory'],
+    value: () => appData.costHistory.daily.length ? formatCurrency(forecastCosts().total.projected) : null
+  },
+  activeAlerts: { label: 'Active Alerts', icon: '🔔', data: [], value: () => getActiveAlerts().length.toLocaleString() },
+  openDiscrepancies: {
+    label: 'Source Discrepancies',
+    icon: '⚖️',
+    data: ['liveEvents', 'providerReports'],
+    value: () => getOpenDiscrepancies().length.toLocaleString()
+  },
+  liveEvents: { label: 'Live Events', icon: '🏟️', data: ['liveEvents'], value: () => appData.liveEvents.length.toLocaleString() }
+};
 
-// Live Feed initialization
-function initializeLiveFeed() {
-  renderLiveEvents();
-  renderBettingOdds();
-  setupSportFilter();
-}
+// Charts from every page, drawn by the same builders on the widget's own canvas
+const dashboardCharts = {
+  throughput: { label: 'Real-time Throughput', data: ['systemMetrics'], create: createThroughputChart },
+  cost: { label: 'Monthly Cost Breakdown', data: ['costBreakdown'], create: createCostChart },
+  apiResponse: { label: 'API Response Times', data: ['apiStatus'], create: createApiResponseChart },
+  apiQuota: { label: 'Quota Usage This Billing Period', data: ['apiQuotas'], create: createApiQuotaChart },
+  costBreakdown: { label: 'Cost Breakdown by Service', data: ['costBreakdown'], create: createCostBreakdownChart },
+  costTrend: { label: 'Monthly Trend vs Budget', data: ['costBreakdown', 'costHistory'], create: createCostTrendChart },
+  lambdaInvocations: { label: 'Lambda Invocations', data: ['lambdaSeries'], create: createLambdaInvocationsChart },
+  lambdaDuration: { label: 'Lambda Average Duration', data: ['lambdaSeries'], create: createLambdaDurationChart },
+  errorRates: { label: 'Lambda Error Rates', data: ['lambdaSeries'], create: createErrorRatesChart },
+  throttles: { label: 'Lambda Throttles', data: ['lambdaSeries'], create: createThrottlesChart }
+};
 
-function renderLiveEvents() {
-  const container = document.getElementById('live-events');
-  if (!container) return;
+// Event widgets show one sport, every sport, or only the games on the watchlist
+const dashboardEventSports = ['all', 'watched', 'NFL', 'NBA', 'MLB', 'NHL', 'Soccer'];
+const dashboardEventLabels = { all: 'All Sports', watched: 'Watched Games' };
+const widgetSizes = ['small', 'medium', 'large'];
 
-  container.innerHTML = appData.liveEvents.map(event => `
-    <div class="event-item">
-      <div class="event-header">
-        <div class="event-teams">${event.awayTeam} @ ${event.homeTeam}</div>
-        <div class="event-sport">${event.sport}</div>
-      </div>
+const dashboardWidgetTypes = {
+  metric: { label: 'Metric', defaultSize: 'small', options: () => Object.entries(dashboardMetrics).map(([key, metric]) => [key, metric.label]) },
+  chart: { label: 'Chart', defaultSize: 'medium', options: () => Object.entries(dashboardCharts).map(([key, chart]) => [key, chart.label]) },
+  events: { label: 'Live Events', defaultSize: 'medium', options: () => dashboardEventSports.map(sport => [sport, dashboardEventLabels[sport] || sport]) },
+  summary: { label: 'Events Summary', defaultSize: 'large', options: () => [] }
+};
+
+const dashboardLayoutPresets = {
+  'Default': [
+    { id: 'uptime', type: 'metric', size: 'small', options: { metric: 'uptime' } },
+    { id: 'latency', type: 'metric', size: 'small', options: { metric: 'latency' } },
+    { id: 'throughput', type: 'metric', size: 'small', options: { metric: 'throughput' } },
+    { id: 'accuracy', type: 'metric', size: 'small', options: { metric: 'accuracy' } },
+    { id: 'watchlist', type: 'events', size: 'large', options: { sport: 'watched' } },
+    { id: 'throughput-chart', type: 'chart', size: 'medium', options: { chart: 'throughput' } },
+    { id: 'cost-chart', type: 'chart', size: 'medium', options: { chart: 'cost' } },
+    { id: 'summary', type: 'summary', size: 'large', options: {} }
+  ],
+  'Ops': [
+    { id: 'uptime', type: 'metric', size: 'small', options: { metric: 'uptime' } },
+    { id: 'latency', type: 'metric', size: 'small', options: { metric: 'latency' } },
+    { id: 'error-rate', type: 'metric', size: 'small', options: { metric: 'errorRate' } },
+    { id: 'alerts', type: 'metric', size: 'small', options: { metric: 'activeAlerts' } },
+    { id: 'invocations', type: 'chart', size: 'medium', options: { chart: 'lambdaInvocations' } },
+    { id: 'error-rates', type: 'chart', size: 'medium', options: { chart: 'errorRates' } },
+    { id: 'api-response', type: 'chart', size: 'large', options: { chart: 'apiResponse' } }
+  ],
+  'Trading': [
+    { id: 'live-events', type: 'metric', size: 'small', options: { metric: 'liveEvents' } },
+    { id: 'accuracy', type: 'metric', size: 'small', options: { metric: 'accuracy' } },
+    { id: 'discrepancies', type: 'metric', size: 'small', options: { metric: 'openDiscrepancies' } },
+    { id: 'latency', type: 'metric', size: 'small', options: { metric: 'latency' } },
+    { id: 'events', type: 'events', size: 'large', options: { sport: 'all' } }
+  ],
+  'Finance': [
+    { id: 'monthly-cost', type: 'metric', size: 'small', options: { metric: 'monthlyCost' } },
+    { id: 'projected-cost', type: 'metric', size: 'small', options: { metric: 'projectedCost' } },
+    { id: 'events-processed', type: 'metric', size: 'small', options: { metric: 'eventsProcessed' } },
+    { id: 'streams', type: 'metric', size: 'small', options: { metric: 'activeStreams' } },
+    { id: 'cost-trend', type: 'chart', size: 'medium', options: { chart: 'costTrend' } },
+    { id: 'cost-breakdown', type: 'chart', size: 'medium', options: { chart: 'costBreakdown' } }
+  ]
+};
+
+const dashboardState = { ...loadDashboardLayouts(), editing: false };
+let widgetCounter = 0;
+
+function loadDashboardLayouts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('dashboardLayouts')) || {};
+    return { active: stored.active || 'Default', layouts: new Map(Object.entries(stored.layouts || {})) };
+  } catch (error) {
+    return { active: 'Default', layouts: new Map() };
+  }
+}
+
+function saveDashboardLayouts() {
+  localStorage.setItem('dashboardLayouts', JSON.stringify({ active: dashboardState.active, layouts: Object.fromEntries(dashboardState.layouts) }));
+}
+
+function getPresetWidgets(name) {
+  return Object.keys(dashboardLayoutPresets).includes(name) ? dashboardLayoutPresets[name] : null;
+}
+
+function getLayoutNames() {
+  return Array.from(new Set([...Object.keys(dashboardLayoutPresets), ...dashboardState.layouts.keys()]));
+}
+
+function getActiveWidgets() {
+  return dashboardState.layouts.get(dashboardState.active) ||
+    getPresetWidgets(dashboardState.active) ||
+    dashboardLayoutPresets.Default;
+}
+
+function setActiveWidgets(widgets) {
+  dashboardState.layouts.set(dashboardState.active, widgets);
+  saveDashboardLayouts();
+  renderDashboardControls();
+  refreshDashboardWidgets();
+}
+
+// Widgets render straight away with whatever is loaded, then again once their data arrives
+function refreshDashboardWidgets() {
+  renderDashboardWidgets();
+  loadDashboardData().then(renderDashboardWidgets);
+}
+
+function createWidgetId() {
+  widgetCounter++;
+  return `w${Date.now().toString(36)}${widgetCounter}`;
+}
+
+// Imported definitions are untrusted, so unknown types and options are dropped
+function normalizeWidget(widget) {
+  if (!widget || !dashboardWidgetTypes[widget.type]) return null;
+
+  const options = widget.options || {};
+  const size = widgetSizes.includes(widget.size) ? widget.size : dashboardWidgetTypes[widget.type].defaultSize;
+  const id = typeof widget.id === 'string' && /^[\w-]+$/.test(widget.id) ? widget.id : createWidgetId();
+  switch(widget.type) {
+    case 'metric':
+      return dashboardMetrics[options.metric] ? { id, type: 'metric', size, options: { metric: options.metric } } : null;
+    case 'chart':
+      return dashboardCharts[options.chart] ? { id, type: 'chart', size, options: { chart: options.chart } } : null;
+    case 'events':
+      return { id, type: 'events', size, options: { sport: dashboardEventSports.includes(options.sport) ? options.sport : 'all' } };
+    default:
+      return { id, type: widget.type, size, options: {} };
+  }
+}
+
+function getWidgetData(widget) {
+  switch(widget.type) {
+    case 'metric':
+      return dashboardMetrics[widget.options.metric].data;
+    case 'chart':
+      return dashboardCharts[widget.options.chart].data;
+    case 'events':
+      return ['liveEvents', 'apiStatus'];
+    default:
+      return ['systemMetrics'];
+  }
+}
+
+async function loadDashboardData() {
+  const keys = new Set(getActiveWidgets().flatMap(getWidgetData));
+  const loadSeries = keys.delete('lambdaSeries') && !appData.lambdaSeries;
+  await loadData(Array.from(keys));
+  if (keys.has('providerReports')) {
+    reconcileLoadedReports();
+  }
+  if (loadSeries) {
+    try {
+      appData.lambdaSeries = await dataProvider.getLambdaSeries('24h');
+    } catch (error) {
+      console.error(`Failed to load 24h Lambda series from ${dataProvider.name} provider:`, error);
+    }
+  }
+}
+
+function renderWidgetToolbar(widget, index, count) {
+  return html`
+    <div class="widget-toolbar">
+      <button class="btn btn--sm btn--secondary" data-widget-action="move" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move widget earlier">←</button>
+      <button class="btn btn--sm btn--secondary" data-widget-action="move" data-offset="1" ${index === count - 1 ? 'disabled' : ''} aria-label="Move widget later">→</button>
+      <button class="btn btn--sm btn--secondary" data-widget-action="resize" aria-label="Change widget size">${widget.size}</button>
+      <button class="btn btn--sm btn--secondary" data-widget-action="remove" aria-label="Remove widget">×</button>
+    </div>
+  `;
+}
+
+function renderMetricValue(key) {
+  const value = dashboardMetrics[key].value();
+  return value === undefined || value === null || value === '' ? '—' : value;
+}
+
+function renderWidgetBody(widget) {
+  switch(widget.type) {
+    case 'metric': {
+      const metric = dashboardMetrics[widget.options.metric];
+      return html`
+        <div class="metric-card">
+          <div class="metric-icon">${metric.icon}</div>
+          <div class="metric-content">
+            <div class="metric-value" data-metric="${widget.options.metric}">${renderMetricValue(widget.options.metric)}</div>
+            <div class="metric-label">${metric.label}</div>
+          </div>
+          <div class="metric-status status-success"></div>
+        </div>
+      `;
+    }
+    case 'chart': {
+      const canvasId = `widget-${widget.id}-chart`;
+      return html`
+        <div class="chart-container">
+          ${renderChartExportControls(canvasId)}
+          <h3>${dashboardCharts[widget.options.chart].label}</h3>
+          <canvas id="${canvasId}"></canvas>
+        </div>
+      `;
+    }
+    case 'events':
+      return html`
+        <div class="card">
+          <div class="card__header">
+            <h3>Live Events${widget.options.sport === 'all' ? '' : ` · ${dashboardEventLabels[widget.options.sport] || widget.options.sport}`}</h3>
+          </div>
+          <div class="card__body">
+            <div class="events-list" data-widget-sport="${widget.options.sport}">${renderEventWidgetItems(widget.options.sport)}</div>
+          </div>
+        </div>
+      `;
+    case 'summary':
+      return html`
+        <div class="card">
+          <div class="card__header">
+            <h3>Live Events Summary</h3>
+            <span class="status status--success">Active</span>
+          </div>
+          <div class="card__body">
+            <div class="events-summary">
+              ${['eventsProcessed', 'activeStreams', 'monthlyCost'].map(key => html`
+                <div class="summary-item">
+                  <div class="summary-number" data-metric="${key}">${renderMetricValue(key)}</div>
+                  <div class="summary-label">${dashboardMetrics[key].label}</div>
+                </div>
+              `)}
+            </div>
+          </div>
+        </div>
+      `;
+  }
+  return '';
+}
+
+function renderEventWidgetItems(sport) {
+  const events = pinWatched(appData.liveEvents.filter(event => {
+    return sport === 'all' || event.sport === sport || (sport === 'watched' && isWatched(event));
+  }));
+  if (events.length) return html`${events.map(renderEventItem)}`;
+
+  return sport === 'watched'
+    ? html`<div class="empty-state">No watched games. Star a team or game in the live feed to follow it here.</div>`
+    : html`<div class="empty-state">No live events.</div>`;
+}
+
+function destroyWidgetCharts() {
+  Object.keys(charts).filter(key => key.startsWith('widget:')).forEach(key => {
+    charts[key].destroy();
+    delete charts[key];
+  });
+}
+
+function renderDashboardWidgets() {
+  const container = document.getElementById('dashboard-widgets');
+  if (!container) return;
+
+  const widgets = getActiveWidgets();
+  destroyWidgetCharts();
+  container.classList.toggle('editing', dashboardState.editing);
+  container.innerHTML = widgets.length
+    ? html`${widgets.map((widget, index) => html`
+        <div class="dashboard-widget widget--${widget.size}" data-widget-id="${widget.id}">
+          ${renderWidgetToolbar(widget, index, widgets.length)}
+          ${renderWidgetBody(widget)}
+        </div>
+      `)}`
+    : '<div class="empty-state">This layout has no widgets. Use Edit Layout to add some.</div>';
+
+  widgets.filter(widget => widget.type === 'chart').forEach(widget => {
+    dashboardCharts[widget.options.chart].create(`widget-${widget.id}-chart`, `widget:${widget.id}`);
+  });
+  renderMetricWidgets();
+}
+
+function renderMetricWidgets() {
+  document.querySelectorAll('#dashboard-widgets [data-metric]').forEach(element => {
+    const metric = dashboardMetrics[element.dataset.metric];
+    element.textContent = renderMetricValue(element.dataset.metric);
+    if (metric.detail) {
+      element.title = metric.detail();
+    }
+  });
+}
+
+function renderEventWidgets() {
+  document.querySelectorAll('#dashboard-widgets [data-widget-sport]').forEach(list => {
+    list.innerHTML = renderEventWidgetItems(list.dataset.widgetSport);
+  });
+}
+
+function renderDashboardControls() {
+  const select = document.getElementById('dashboard-layout');
+  const editor = document.getElementById('dashboard-editor');
+  const editButton = document.getElementById('dashboard-edit');
+  const deleteButton = document.getElementById('dashboard-delete');
+  if (!select) return;
+
+  select.innerHTML = html`${getLayoutNames().map(name => html`
+    <option value="${name}" ${name === dashboardState.active ? 'selected' : ''}>${name}</option>
+  `)}`;
+  editor.classList.toggle('hidden', !dashboardState.editing);
+  editButton.textContent = dashboardState.editing ? 'Done' : 'Edit Layout';
+
+  const isPreset = Boolean(getPresetWidgets(dashboardState.active));
+  deleteButton.textContent = isPreset ? 'Reset Layout' : 'Delete Layout';
+  deleteButton.disabled = isPreset && !dashboardState.layouts.has(dashboardState.active);
+}
+
+function renderWidgetOptions(form) {
+  const type = dashboardWidgetTypes[form.elements.widgetType.value];
+  const options = type.options();
+  form.elements.widgetOption.innerHTML = html`${options.map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+  form.elements.widgetOption.disabled = !options.length;
+  form.elements.widgetSize.value = type.defaultSize;
+}
+
+function setDashboardStatus(text) {
+  const status = document.getElementById('dashboard-status');
+  if (status) {
+    status.textContent = text;
+  }
+}
+
+function switchDashboardLayout(name) {
+  dashboardState.active = name;
+  saveDashboardLayouts();
+  renderDashboardControls();
+  refreshDashboardWidgets();
+}
+
+function exportDashboardLayout() {
+  const body = { version: 1, layouts: { [dashboardState.active]: getActiveWidgets() } };
+  downloadFile(buildExportFilename('dashboard-layout', { layout: dashboardState.active }, 'json'), JSON.stringify(body, null, 2), 'application/json');
+}
+
+async function importDashboardLayouts(file) {
+  try {
+    const body = JSON.parse(await file.text());
+    const entries = Object.entries((body && body.layouts) || {})
+      .filter(([name, widgets]) => name.trim() && Array.isArray(widgets))
+      .map(([name, widgets]) => [name.trim(), widgets.map(normalizeWidget).filter(Boolean)]);
+    if (!entries.length) {
+      throw new Error('no layouts found');
+    }
+
+    entries.forEach(([name, widgets]) => {
+      dashboardState.layouts.set(name, widgets);
+    });
+    setDashboardStatus(`Imported ${entries.map(([name]) => name).join(', ')}`);
+    switchDashboardLayout(entries[0][0]);
+  } catch (error) {
+    console.error(`Failed to import dashboard layouts from ${file.name}:`, error);
+    setDashboardStatus(`Could not import ${file.name}: ${error.message}`);
+  }
+}
+
+function setupDashboardLayouts() {
+  const container = document.getElementById('dashboard-widgets');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  const form = document.getElementById('dashboard-widget-form');
+  const importInput = document.getElementById('dashboard-import-file');
+  form.elements.widgetType.innerHTML = html`${Object.entries(dashboardWidgetTypes).map(([key, type]) => html`<option value="${key}">${type.label}</option>`)}`;
+  renderWidgetOptions(form);
+
+  container.addEventListener('click', (e) => {
+    if (handleWatchClick(e)) return;
+
+    const button = e.target.closest('[data-widget-action]');
+    if (!button) {
+      const eventItem = e.target.closest('.event-item');
+      if (eventItem) {
+        navigateTo('event-detail', { eventId: eventItem.dataset.eventId });
+      }
+      return;
+    }
+
+    const widgets = [...getActiveWidgets()];
+    const index = widgets.findIndex(widget => widget.id === button.closest('.dashboard-widget').dataset.widgetId);
+    switch(button.dataset.widgetAction) {
+      case 'move': {
+        const target = index + Number(button.dataset.offset);
+        [widgets[index], widgets[target]] = [widgets[target], widgets[index]];
+        break;
+      }
+      case 'resize':
+        widgets[index] = { ...widgets[index], size: widgetSizes[(widgetSizes.indexOf(widgets[index].size) + 1) % widgetSizes.length] };
+        break;
+      case 'remove':
+        widgets.splice(index, 1);
+        break;
+    }
+    setActiveWidgets(widgets);
+  });
+
+  document.getElementById('dashboard-layout').addEventListener('change', (e) => switchDashboardLayout(e.target.value));
+  document.getElementById('dashboard-edit').addEventListener('click', () => {
+    dashboardState.editing = !dashboardState.editing;
+    renderDashboardControls();
+    renderDashboardWidgets();
+  });
+
+  form.elements.widgetType.addEventListener('change', () => renderWidgetOptions(form));
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const optionKey = { metric: 'metric', chart: 'chart', events: 'sport' }[form.elements.widgetType.value];
+    const widget = normalizeWidget({
+      type: form.elements.widgetType.value,
+      size: form.elements.widgetSize.value,
+      options: optionKey ? { [optionKey]: form.elements.widgetOption.value } : {}
+    });
+    if (widget) {
+      setActiveWidgets([...getActiveWidgets(), widget]);
+    }
+  });
+
+  document.getElementById('dashboard-save-as').addEventListener('click', () => {
+    const input = document.getElementById('dashboard-layout-name');
+    const name = input.value.trim();
+    if (!name) {
+      setDashboardStatus('Enter a name for the layout');
+      return;
+    }
+    dashboardState.layouts.set(name, getActiveWidgets().map(widget => ({ ...widget })));
+    input.value = '';
+    setDashboardStatus(`Saved ${name}`);
+    switchDashboardLayout(name);
+  });
+
+  document.getElementById('dashboard-delete').addEventListener('click', () => {
+    dashboardState.layouts.delete(dashboardState.active);
+    switchDashboardLayout(getPresetWidgets(dashboardState.active) ? dashboardState.active : 'Default');
+  });
+
+  document.getElementById('dashboard-export').addEventListener('click', exportDashboardLayout);
+  document.getElementById('dashboard-import').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) {
+      importDashboardLayouts(importInput.files[0]);
+    }
+    importInput.value = '';
+  });
+}
+
+// Live Feed initialization
+async function initializeLiveFeed(params = {}) {
+  // A replay keeps driving the feed until it is exited
+  if (replay.session) {
+    renderReplayPosition(true);
+  } else {
+    await loadData(['liveEvents', 'bettingOdds', 'apiStatus', 'providerReports']);
+    reconcileLoadedReports();
+    appData.liveEvents.forEach(recordScoreHistory);
+    appData.bettingOdds.forEach(recordOddsHistory);
+    renderLiveEvents();
+    renderBettingOdds();
+  }
+  setupEventSelection();
+  setupOddsFormatToggle();
+  setupFeedFilters(params);
+  renderDiscrepancyQueue();
+  setupDiscrepancyQueue();
+  setupSessionControls();
+  renderSessionControls();
+  startLiveSocket();
+}
+
+function renderLiveEvents() {
+  const container = document.getElementById('live-events');
+  if (!container) return;
+
+  const events = getLiveFeedEvents();
+  container.innerHTML = events.length
+    ? html`${events.map(renderEventItem)}`
+    : html`<div class="empty-state">${appData.liveEvents.length ? 'No events match the filters.' : 'No live events.'}</div>`;
+  renderFeedResults();
+}
+
+function renderEventItem(event) {
+  return html`
+    <div class="event-item${isWatched(event) ? ' is-watched' : ''}" data-event-id="${event.id}" data-sport="${event.sport}">
+      <div class="event-header">
+        <div class="event-teams">
+          ${renderWatchToggle('teams', event.awayTeam)}${event.awayTeam} @ ${renderWatchToggle('teams', event.homeTeam)}${event.homeTeam}
+        </div>
+        <div class="event-sport">${event.sport}</div>
+        ${renderWatchToggle('events', event.id)}
+      </div>
       <div class="event-score">
         <div class="score">${event.score.away} - ${event.score.home}</div>
-        <div class="event-status">${event.status}</div>
+        ${renderGameState(event)}
       </div>
       <div class="event-meta">
-        <div class="event-source">${event.source}</div>
-        <div class="event-updated">${event.lastUpdate}</div>
+        ${renderEventSource(event)}
+        ${renderTimestamp(event.timestamp, 'event-updated')}
+      </div>
+    </div>
+  `;
+}
+
+function renderBettingOdds() {
+  const container = document.getElementById('betting-odds');
+  if (!container) return;
+
+  const oddsList = getLiveFeedOdds();
+  container.innerHTML = oddsList.length
+    ? html`${groupOddsByGame(oddsList).map(renderOddsItem)}`
+    : html`<div class="empty-state">${appData.bettingOdds.length ? 'No odds match the filters.' : 'No odds available.'}</div>`;
+  renderFeedResults();
+}
+
+function groupOddsByGame(oddsList) {
+  const groups = new Map();
+  oddsList.forEach(odds => {
+    if (!groups.has(odds.gameId)) {
+      groups.set(odds.gameId, []);
+    }
+    groups.get(odds.gameId).push(odds);
+  });
+  return Array.from(groups.values());
+}
+
+function renderOddsItem(gameOdds) {
+  const event = appData.liveEvents.find(e => e.id === gameOdds[0].gameId);
+  return html`
+    <div class="odds-item" data-game-id="${gameOdds[0].gameId}" data-sport="${event ? event.sport : ''}">
+      ${renderOddsItemContent(gameOdds)}
+    </div>
+  `;
+}
+
+function renderOddsItemContent(gameOdds) {
+  const event = appData.liveEvents.find(e => e.id === gameOdds[0].gameId);
+  const best = findBestPrices(gameOdds);
+  const arbitrage = findArbitrage(gameOdds);
+  const latest = gameOdds.reduce((a, b) => new Date(a.timestamp) > new Date(b.timestamp) ? a : b);
+
+  return html`
+    <div class="event-header">
+      <div class="event-teams">${event ? `${event.awayTeam} @ ${event.homeTeam}` : 'Game'}</div>
+      <div class="event-sport">${gameOdds.length} ${gameOdds.length === 1 ? 'book' : 'books'}</div>
+    </div>
+    ${arbitrage.length ? html`
+      <div class="odds-arbitrage">
+        Arbitrage: ${arbitrage.map(arb => `${arb.label} ${formatPercent(arb.margin)} (${arb.bookmakers.join(' / ')})`).join(', ')}
+      </div>
+    ` : ''}
+    ${gameOdds.map(odds => html`
+      <div class="odds-book" data-bookmaker="${odds.bookmaker}">
+        <div class="odds-book-name">${odds.bookmaker}</div>
+        <div class="odds-grid">
+          ${getOddsMarkets(odds).map(market => html`
+            <div class="odds-section" data-market="${market.key}">
+              ${renderOddsMarket(market, market.prices.map((price, side) => best.has(`${odds.bookmaker}:${market.key}:${side}`)))}
+            </div>
+          `)}
+        </div>
       </div>
+    `)}
+    <div class="event-meta">
+      ${renderTimestamp(latest.timestamp, 'event-updated')}
+      <button class="btn btn--outline btn--sm odds-history-btn" data-game-id="${gameOdds[0].gameId}">Line movement</button>
+    </div>
+  `;
+}
+
+// Best line per side: the most favourable line for the bettor first, then the best price on it.
+// Every book tied on the best line and price is highlighted.
+function findBestPrices(gameOdds) {
+  const best = new Set();
+  if (gameOdds.length < 2) return best;
+
+  const entries = gameOdds.flatMap(odds => getOddsMarkets(odds).flatMap(market =>
+    market.prices.map((price, side) => ({
+      key: `${odds.bookmaker}:${market.key}:${side}`,
+      market: market.key,
+      side,
+      lineScore: market.lineScores[side],
+      price
+    }))
+  )).filter(entry => typeof entry.price === 'number');
+
+  const compare = (a, b) => a.lineScore - b.lineScore || americanToDecimal(a.price) - americanToDecimal(b.price);
+  ['moneyline', 'spread', 'total'].forEach(market => {
+    [0, 1].forEach(side => {
+      const candidates = entries.filter(entry => entry.market === market && entry.side === side);
+      if (!candidates.length) return;
+
+      const top = candidates.reduce((a, b) => compare(a, b) >= 0 ? a : b);
+      candidates.filter(entry => compare(entry, top) === 0).forEach(entry => best.add(entry.key));
+    });
+  });
+  return best;
+}
+
+// Two-way markets are only comparable across books quoting the same line
+function findArbitrage(gameOdds) {
+  const opportunities = [];
+  const markets = gameOdds.flatMap(odds => getOddsMarkets(odds).map(market => ({ ...market, bookmaker: odds.bookmaker })));
+  const groups = new Map();
+
+  markets.forEach(market => {
+    if (!market.prices.every(price => typeof price === 'number')) return;
+    const groupKey = `${market.key}:${market.headline}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(market);
+  });
+
+  groups.forEach(group => {
+    if (new Set(group.map(market => market.bookmaker)).size < 2) return;
+
+    const bestSides = [0, 1].map(side => group.reduce((a, b) =>
+      americanToDecimal(a.prices[side]) >= americanToDecimal(b.prices[side]) ? a : b
+    ));
+    const combined = bestSides.reduce((sum, market, side) => sum + impliedProbability(market.prices[side]), 0);
+    if (combined < 1) {
+      opportunities.push({
+        market: group[0].key,
+        label: group[0].headline ? `${group[0].label} ${group[0].headline}` : group[0].label,
+        margin: 1 - combined,
+        bookmakers: bestSides.map(market => market.bookmaker)
+      });
+    }
+  });
+  return opportunities;
+}
+
+// Each market lists its two sides away/over first, matching the "away @ home" header
+function getOddsMarkets(odds) {
+  return [
+    {
+      key: 'moneyline',
+      label: 'Moneyline',
+      headline: null,
+      prices: [odds.moneyline.away, odds.moneyline.home],
+      lineScores: [0, 0]
+    },
+    {
+      key: 'spread',
+      label: 'Spread',
+      headline: formatSigned(odds.spread.line),
+      prices: [odds.spread.away, odds.spread.home],
+      // The home line is quoted; the away side gets the same number of points the other way
+      lineScores: [-odds.spread.line, odds.spread.line]
+    },
+    {
+      key: 'total',
+      label: 'Total',
+      headline: `O/U ${odds.total.line}`,
+      prices: [odds.total.over, odds.total.under],
+      // Overs want the lowest total, unders the highest
+      lineScores: [-odds.total.line, odds.total.line]
+    }
+  ];
+}
+
+function renderOddsMarket(market, bestSides = []) {
+  const format = getOddsFormat();
+  const hasPrices = market.prices.every(price => typeof price === 'number');
+  // Fractional prices already contain a slash
+  const separator = format === 'fractional' ? ' | ' : ' / ';
+  const prices = hasPrices
+    ? market.prices.map((price, side) => html`${side ? separator : ''}<span class="odds-price${bestSides[side] ? ' is-best' : ''}">${formatOdds(price, format)}</span>`)
+    : '';
+  const { vig } = hasPrices ? calculateVig(market.prices) : {};
+
+  return html`
+    <div class="odds-label">${market.label}</div>
+    <div class="odds-values">${market.headline || prices}</div>
+    ${market.headline && hasPrices ? html`<div class="odds-prices">${prices}</div>` : ''}
+    ${hasPrices ? html`
+      <div class="odds-implied">${market.prices.map(price => formatPercent(impliedProbability(price))).join(' / ')}</div>
+      <div class="odds-vig">Vig ${formatPercent(vig)}</div>
+    ` : ''}
+  `;
+}
+
+// Line movement
+const historyLimit = 500;
+const oddsHistory = new Map();
+const scoreHistory = new Map();
+const lineMovementSeries = {
+  'moneyline-home': { label: 'Moneyline (home)', value: odds => odds.moneyline.home },
+  'moneyline-away': { label: 'Moneyline (away)', value: odds => odds.moneyline.away },
+  spread: { label: 'Spread line', value: odds => odds.spread.line },
+  total: { label: 'Total', value: odds => odds.total.line }
+};
+let lineMovementGameId = null;
+
+function pushHistory(history, key, entry) {
+  if (!history.has(key)) {
+    history.set(key, []);
+  }
+  const entries = history.get(key);
+  entries.push(entry);
+  if (entries.length > historyLimit) {
+    entries.splice(0, entries.length - historyLimit);
+  }
+}
+
+// Only price or line changes are kept, so repeated snapshots don't crowd out real moves
+function recordOddsHistory(odds) {
+  const entry = {
+    timestamp: odds.timestamp,
+    bookmaker: odds.bookmaker,
+    moneyline: { ...odds.moneyline },
+    spread: { ...odds.spread },
+    total: { ...odds.total }
+  };
+  const previous = (oddsHistory.get(odds.gameId) || []).filter(h => h.bookmaker === odds.bookmaker).pop();
+  const markets = h => JSON.stringify([h.moneyline, h.spread, h.total]);
+  if (previous && markets(previous) === markets(entry)) return;
+
+  pushHistory(oddsHistory, odds.gameId, entry);
+}
+
+// Scores older than the latest entry are skipped, so a reloaded snapshot never lands out of
+// time order as a false score change
+function recordScoreHistory(event) {
+  const previous = (scoreHistory.get(event.id) || []).slice(-1)[0];
+  if (previous && Date.parse(event.timestamp) < Date.parse(previous.timestamp)) return;
+  if (previous && previous.score.home === event.score.home && previous.score.away === event.score.away) return;
+
+  pushHistory(scoreHistory, event.id, {
+    timestamp: event.timestamp,
+    score: { ...event.score }
+  });
+}
+
+function setupLineMovement() {
+  const modal = document.getElementById('line-movement-modal');
+  if (!modal) return;
+
+  // Odds cards appear on both the live feed and event detail pages
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.odds-history-btn');
+    if (button) {
+      openLineMovement(button.dataset.gameId);
+    }
+  });
+  document.getElementById('line-movement-series').addEventListener('change', () => {
+    refreshLineMovementChart(lineMovementGameId);
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('[data-close-modal]')) {
+      closeLineMovement();
+    }
+  });
+}
+
+function openLineMovement(gameId) {
+  const event = appData.liveEvents.find(e => e.id === gameId);
+  lineMovementGameId = gameId;
+  document.getElementById('line-movement-title').textContent =
+    `Line Movement: ${event ? `${event.awayTeam} @ ${event.homeTeam}` : gameId}`;
+  document.getElementById('line-movement-modal').classList.remove('hidden');
+  createLineMovementChart();
+}
+
+function closeLineMovement() {
+  lineMovementGameId = null;
+  document.getElementById('line-movement-modal').classList.add('hidden');
+  if (charts.lineMovement) {
+    charts.lineMovement.destroy();
+    delete charts.lineMovement;
+  }
+}
+
+function buildLineMovementDatasets(gameId, seriesKey) {
+  const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F', '#DB4545', '#ECEBD5'];
+  const series = lineMovementSeries[seriesKey];
+  const history = oddsHistory.get(gameId) || [];
+  const bookmakers = [...new Set(history.map(entry => entry.bookmaker))];
+
+  const datasets = bookmakers.map((bookmaker, index) => ({
+    label: bookmaker,
+    data: history
+      .filter(entry => entry.bookmaker === bookmaker)
+      .map(entry => ({ x: new Date(entry.timestamp).getTime(), y: series.value(entry) })),
+    borderColor: colors[index % colors.length],
+    backgroundColor: colors[index % colors.length],
+    stepped: true,
+    fill: false
+  }));
+
+  // Score changes sit on their own hidden axis so they line up in time without
+  // distorting the odds scale
+  const scores = (scoreHistory.get(gameId) || []).slice(1);
+  datasets.push({
+    type: 'scatter',
+    label: 'Score change',
+    data: scores.map(entry => ({ x: new Date(entry.timestamp).getTime(), y: 1, score: entry.score })),
+    yAxisID: 'scoreChanges',
+    pointStyle: 'rectRot',
+    pointRadius: 7,
+    borderColor: '#DB4545',
+    backgroundColor: '#DB4545'
+  });
+  return datasets;
+}
+
+function createLineMovementChart() {
+  const ctx = document.getElementById('lineMovementChart');
+  if (!ctx || !lineMovementGameId) return;
+
+  if (charts.lineMovement) {
+    charts.lineMovement.destroy();
+  }
+
+  const seriesKey = document.getElementById('line-movement-series').value;
+  charts.lineMovement = new Chart(ctx, {
+    type: 'line',
+    data: {
+      datasets: buildLineMovementDatasets(lineMovementGameId, seriesKey)
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: {
+            padding: 20,
+            usePointStyle: true
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: (item) => item.raw.score
+              ? `Score ${item.raw.score.away} - ${item.raw.score.home}`
+              : `${item.dataset.label}: ${item.raw.y}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          ticks: {
+            callback: value => new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+          },
+          grid: {
+            color: 'rgba(94, 82, 64, 0.1)'
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: lineMovementSeries[seriesKey].label
+          },
+          grid: {
+            color: 'rgba(94, 82, 64, 0.1)'
+          }
+        },
+        scoreChanges: {
+          display: false,
+          min: 0,
+          max: 1.1
+        }
+      }
+    }
+  });
+}
+
+function refreshLineMovementChart(gameId) {
+  if (!charts.lineMovement || gameId !== lineMovementGameId) return;
+
+  const seriesKey = document.getElementById('line-movement-series').value;
+  charts.lineMovement.data.datasets = buildLineMovementDatasets(gameId, seriesKey);
+  charts.lineMovement.options.scales.y.title.text = lineMovementSeries[seriesKey].label;
+  charts.lineMovement.update();
+}
+
+// Odds formats
+const oddsFormats = ['american', 'decimal', 'fractional'];
+
+function getOddsFormat() {
+  const stored = localStorage.getItem('oddsFormat');
+  return oddsFormats.includes(stored) ? stored : 'american';
+}
+
+function setOddsFormat(format) {
+  localStorage.setItem('oddsFormat', format);
+  renderBettingOdds();
+}
+
+function setupOddsFormatToggle() {
+  const select = document.getElementById('odds-format');
+  if (!select || select.dataset.bound) return;
+
+  select.dataset.bound = 'true';
+  select.value = getOddsFormat();
+  select.addEventListener('change', (e) => setOddsFormat(e.target.value));
+}
+
+function formatSigned(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function americanToDecimal(american) {
+  return american > 0 ? 1 + american / 100 : 1 + 100 / -american;
+}
+
+function decimalToAmerican(decimal) {
+  return decimal >= 2 ? Math.round((decimal - 1) * 100) : Math.round(-100 / (decimal - 1));
+}
+
+// Closest fraction with a bookmaker-sized denominator, e.g. -110 -> 10/11
+function decimalToFractional(decimal) {
+  const profit = decimal - 1;
+  let best = { numerator: Math.round(profit), denominator: 1 };
+  for (let denominator = 1; denominator <= 100; denominator++) {
+    const numerator = Math.round(profit * denominator);
+    if (Math.abs(numerator / denominator - profit) < Math.abs(best.numerator / best.denominator - profit) - 1e-9) {
+      best = { numerator, denominator };
+    }
+  }
+  return `${best.numerator}/${best.denominator}`;
+}
+
+function formatOdds(american, format) {
+  switch(format) {
+    case 'decimal':
+      return americanToDecimal(american).toFixed(2);
+    case 'fractional':
+      return decimalToFractional(americanToDecimal(american));
+    default:
+      return formatSigned(american);
+  }
+}
+
+function impliedProbability(american) {
+  return 1 / americanToDecimal(american);
+}
+
+// Overround is the summed implied probability of both sides; vig is the bookmaker's
+// share of the handle when the book is balanced
+function calculateVig(prices) {
+  const overround = prices.reduce((sum, price) => sum + impliedProbability(price), 0);
+  return {
+    overround,
+    vig: 1 - 1 / overround
+  };
+}
+
+// Game state
+// Each sport's status is modelled on its own terms: period and clock remaining for NFL, NBA
+// and NHL, half and minute for soccer, and inning, half, outs and runners for MLB. Providers
+// that only send status text have it parsed into the same shape.
+const gameStateModels = {
+  NFL: { kind: 'clock', periods: 4, periodLength: 900, prefix: 'Q', closeMargin: 8 },
+  NBA: { kind: 'clock', periods: 4, periodLength: 720, prefix: 'Q', closeMargin: 5 },
+  NHL: { kind: 'clock', periods: 3, periodLength: 1200, prefix: 'P', closeMargin: 1 },
+  Soccer: { kind: 'minutes', periods: 2, periodLength: 45, closeMargin: 1 },
+  MLB: { kind: 'innings', periods: 9, closeMargin: 2 }
+};
+// Completed half-innings before outs in the current one are counted
+const inningHalves = { top: 0, middle: 1, bottom: 1, end: 2 };
+const gameSituations = {
+  all: () => true,
+  live: event => getGameState(event).phase === 'live',
+  late: event => isFinalPeriod(event),
+  'close-late': event => isFinalPeriod(event) && isCloseGame(event)
+};
+
+function parseGameState(sport, status) {
+  const text = String(status || '').trim();
+  if (/^(final|ft\b|full time|ended|closed|complete)/i.test(text)) return { phase: 'final' };
+  if (!text || /^(scheduled|pre|not started|ns\b)/i.test(text)) return { phase: 'pre' };
+
+  const model = gameStateModels[sport];
+  if (!model) return { phase: 'live' };
+
+  switch(model.kind) {
+    case 'clock': {
+      const match = text.match(/^(?:[QP](\d)|(\d)(?:st|nd|rd|th) (?:quarter|period)|(\d*)OT)(?:\s*-\s*(\d+):(\d{2}))?/i);
+      if (!match) {
+        return /^(half|ht\b|intermission)/i.test(text)
+          ? { phase: 'live', period: Math.ceil(model.periods / 2), clock: 0 }
+          : { phase: 'live' };
+      }
+      const period = match[1] || match[2] ? Number(match[1] || match[2]) : model.periods + Number(match[3] || 1);
+      return { phase: 'live', period, clock: match[4] === undefined ? null : Number(match[4]) * 60 + Number(match[5]) };
+    }
+    case 'minutes': {
+      if (/^(half|ht\b)/i.test(text)) return { phase: 'live', period: 1, minute: 45 };
+      const half = text.match(/^([12])H/i);
+      const minute = text.match(/(\d+)(?:\+\d+)?'/);
+      const period = half ? Number(half[1]) : minute && Number(minute[1]) > model.periodLength ? 2 : 1;
+      return { phase: 'live', period, minute: minute ? Number(minute[1]) : null };
+    }
+    case 'innings': {
+      const match = text.match(/^(top|bot(?:tom)?|mid(?:dle)?|end)\w*\s+(?:of\s+)?(\d+)/i);
+      if (!match) return { phase: 'live' };
+      const half = { bot: 'bottom', mid: 'middle' }[match[1].slice(0, 3).toLowerCase()] || match[1].toLowerCase();
+      const outs = text.match(/(\d) outs?/i);
+      return { phase: 'live', inning: Number(match[2]), half, outs: outs ? Number(outs[1]) : 0, runners: [false, false, false] };
+    }
+  }
+  return { phase: 'live' };
+}
+
+function getGameState(event) {
+  return event.state && typeof event.state === 'object' && event.state.phase
+    ? event.state
+    : parseGameState(event.sport, event.status);
+}
+
+function formatOrdinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+}
+
+function formatGameClock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatPeriod(model, period) {
+  if (period <= model.periods) return `${model.prefix}${period}`;
+  const overtime = period - model.periods;
+  return overtime > 1 ? `${overtime}OT` : 'OT';
+}
+
+function formatGameState(sport, state) {
+  const model = gameStateModels[sport];
+  if (state.phase === 'final') return 'Final';
+  if (state.phase === 'pre') return 'Scheduled';
+  if (!model) return 'In progress';
+
+  switch(model.kind) {
+    case 'clock':
+      if (!state.period) return 'In progress';
+      return state.clock === null || state.clock === undefined
+        ? formatPeriod(model, state.period)
+        : `${formatPeriod(model, state.period)} - ${formatGameClock(state.clock)}`;
+    case 'minutes':
+      return state.minute ? `${state.minute}'` : `${formatOrdinal(state.period || 1)} half`;
+    case 'innings':
+      return state.inning ? `${state.half[0].toUpperCase()}${state.half.slice(1)} ${formatOrdinal(state.inning)}` : 'In progress';
+  }
+  return 'In progress';
+}
+
+// Share of regulation played, from 0 before kickoff to 1 at the final whistle; overtime
+// counts as complete
+function getGameProgress(event) {
+  const state = getGameState(event);
+  const model = gameStateModels[event.sport];
+  if (state.phase === 'final') return 1;
+  if (state.phase === 'pre' || !model) return 0;
+
+  let progress = 0;
+  switch(model.kind) {
+    case 'clock':
+      progress = state.period
+        ? ((state.period - 1) * model.periodLength + model.periodLength - (state.clock === null || state.clock === undefined ? model.periodLength : state.clock)) / (model.periods * model.periodLength)
+        : 0;
+      break;
+    case 'minutes':
+      progress = (state.minute || (state.period - 1) * model.periodLength) / (model.periods * model.periodLength);
+      break;
+    case 'innings':
+      progress = state.inning
+        ? ((state.inning - 1) * 2 + (inningHalves[state.half] || 0) + (['top', 'bottom'].includes(state.half) ? (state.outs || 0) / 3 : 0)) / (model.periods * 2)
+        : 0;
+      break;
+  }
+  return Math.max(0, Math.min(1, progress));
+}
+
+function isFinalPeriod(event) {
+  const state = getGameState(event);
+  const model = gameStateModels[event.sport];
+  if (state.phase !== 'live' || !model) return false;
+
+  switch(model.kind) {
+    case 'clock':
+      return state.period >= model.periods;
+    case 'minutes':
+      return state.period >= model.periods;
+    case 'innings':
+      return state.inning >= model.periods;
+  }
+  return false;
+}
+
+function isCloseGame(event) {
+  const model = gameStateModels[event.sport];
+  return Boolean(model) && Math.abs(event.score.home - event.score.away) <= model.closeMargin;
+}
+
+function renderGameState(event) {
+  const state = getGameState(event);
+  const model = gameStateModels[event.sport];
+  const progress = Math.round(getGameProgress(event) * 100);
+  const bar = html`
+    <div class="game-progress" title="${progress}% of regulation played">
+      <div class="game-progress-bar" style="width: ${progress}%"></div>
+    </div>
+  `;
+
+  if (state.phase !== 'live' || !model || model.kind !== 'innings' || !state.inning) {
+    return html`
+      <div class="event-status game-state game-state--${state.phase}">
+        <span class="game-period">${formatGameState(event.sport, state)}</span>
+        ${bar}
+      </div>
+    `;
+  }
+
+  const runners = state.runners || [];
+  const outs = state.outs || 0;
+  return html`
+    <div class="event-status game-state game-state--live">
+      <span class="game-period" title="${formatGameState(event.sport, state)}">
+        ${{ top: `▲ ${formatOrdinal(state.inning)}`, bottom: `▼ ${formatOrdinal(state.inning)}` }[state.half] || formatGameState(event.sport, state)}
+      </span>
+      <span class="game-outs" title="${outs} out">${[0, 1, 2].map(i => i < outs ? '●' : '○')}</span>
+      <span class="game-bases" title="Runners on: ${['1st', '2nd', '3rd'].filter((base, i) => runners[i]).join(', ') || 'none'}">
+        ${['first', 'second', 'third'].map((base, i) => html`<span class="base base--${base}${runners[i] ? ' is-occupied' : ''}"></span>`)}
+      </span>
+      ${bar}
+    </div>
+  `;
+}
+
+// Live feed filters
+// Events and odds are filtered and sorted from data, so re-renders and live updates keep the
+// view. Every filter is kept in the route, e.g. #/live-feed?sport=NFL,NBA&state=live&margin=7
+const feedSports = ['NFL', 'NBA', 'MLB', 'NHL', 'Soccer'];
+const gamePhases = ['pre', 'live', 'final'];
+const eventSorts = {
+  default: null,
+  finish: (a, b) => getGameProgress(b) - getGameProgress(a),
+  margin: (a, b) => Math.abs(a.score.home - a.score.away) - Math.abs(b.score.home - b.score.away),
+  updated: (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp),
+  teams: (a, b) => `${a.awayTeam} ${a.homeTeam}`.localeCompare(`${b.awayTeam} ${b.homeTeam}`)
+};
+const defaultFeedFilters = {
+  sports: [],
+  team: '',
+  source: 'all',
+  phases: [],
+  margin: null,
+  situation: 'all',
+  sort: 'default',
+  watched: false
+};
+let feedFilters = { ...defaultFeedFilters };
+
+function parseListParam(value, allowed) {
+  return String(value || '').split(',').filter(item => allowed.includes(item));
+}
+
+function parseFeedFilters(params = {}) {
+  const margin = Number(params.margin);
+  return {
+    sports: parseListParam(params.sport, feedSports),
+    team: params.q || '',
+    source: scoreProviders.includes(params.source) ? params.source : 'all',
+    phases: parseListParam(params.state, gamePhases),
+    margin: params.margin && Number.isInteger(margin) && margin >= 0 ? margin : null,
+    situation: Object.keys(gameSituations).includes(params.situation) ? params.situation : 'all',
+    sort: Object.keys(eventSorts).includes(params.sort) ? params.sort : 'default',
+    watched: params.watched === 'true'
+  };
+}
+
+function buildFeedFilterParams(filters) {
+  return {
+    sport: filters.sports.join(',') || null,
+    q: filters.team.trim() || null,
+    source: filters.source === 'all' ? null : filters.source,
+    state: filters.phases.join(',') || null,
+    margin: filters.margin,
+    situation: filters.situation === 'all' ? null : filters.situation,
+    sort: filters.sort === 'default' ? null : filters.sort,
+    watched: filters.watched ? 'true' : null
+  };
+}
+
+function isFeedNarrowed(filters = feedFilters) {
+  return Object.values(buildFeedFilterParams(filters)).some(value => value !== null);
+}
+
+function matchesFeedFilters(event, filters = feedFilters) {
+  const team = filters.team.trim().toLowerCase();
+  return (!filters.sports.length || filters.sports.includes(event.sport)) &&
+    (!team || [event.homeTeam, event.awayTeam].some(name => name.toLowerCase().includes(team))) &&
+    (filters.source === 'all' || getEventSource(event).provider === filters.source) &&
+    (!filters.phases.length || filters.phases.includes(getGameState(event).phase)) &&
+    (filters.margin === null || Math.abs(event.score.home - event.score.away) <= filters.margin) &&
+    (!filters.watched || isWatched(event)) &&
+    gameSituations[filters.situation](event);
+}
+
+function getLiveFeedEvents(filters = feedFilters) {
+  const events = appData.liveEvents.filter(event => matchesFeedFilters(event, filters));
+  return pinWatched(eventSorts[filters.sort] ? events.slice().sort(eventSorts[filters.sort]) : events);
+}
+
+// Odds follow their game's event and its place in the sort; odds for a game the feed has
+// no event for only show while nothing is filtered
+function getLiveFeedOdds(filters = feedFilters) {
+  const order = new Map(getLiveFeedEvents(filters).map((event, index) => [event.id, index]));
+  const known = new Set(appData.liveEvents.map(event => event.id));
+  const narrowed = isFeedNarrowed(filters);
+  const rank = odds => order.has(odds.gameId) ? order.get(odds.gameId) : order.size;
+  return appData.bettingOdds
+    .filter(odds => order.has(odds.gameId) || (!known.has(odds.gameId) && !narrowed))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+function renderFeedResults() {
+  const results = document.getElementById('feed-results');
+  if (!results) return;
+
+  const events = getLiveFeedEvents().length;
+  const games = new Set(getLiveFeedOdds().map(odds => odds.gameId)).size;
+  const totalGames = new Set(appData.bettingOdds.map(odds => odds.gameId)).size;
+  results.textContent = `${events} of ${appData.liveEvents.length} events · ${games} of ${totalGames} games with odds`;
+}
+
+function readFeedFilters(form) {
+  const checked = name => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+  const margin = form.elements.margin.value;
+  return {
+    sports: checked('sport'),
+    team: form.elements.team.value,
+    source: form.elements.source.value,
+    phases: checked('phase'),
+    margin: margin === '' ? null : Math.max(0, Math.floor(Number(margin))),
+    situation: form.elements.situation.value,
+    sort: form.elements.sort.value,
+    watched: form.elements.watched.checked
+  };
+}
+
+function writeFeedFilters(form, filters) {
+  form.querySelectorAll('input[name="sport"]').forEach(input => {
+    input.checked = filters.sports.includes(input.value);
+  });
+  form.querySelectorAll('input[name="phase"]').forEach(input => {
+    input.checked = filters.phases.includes(input.value);
+  });
+  form.elements.team.value = filters.team;
+  form.elements.source.value = filters.source;
+  form.elements.margin.value = filters.margin === null ? '' : filters.margin;
+  form.elements.situation.value = filters.situation;
+  form.elements.sort.value = filters.sort;
+  form.elements.watched.checked = filters.watched;
+}
+
+function applyFeedFilters(filters) {
+  feedFilters = filters;
+  renderLiveEvents();
+  renderBettingOdds();
+}
+
+// The feed re-renders as the user types, but the route only follows committed changes so a
+// search adds one history entry rather than one per keystroke
+function updateFeedFilterRoute() {
+  updateRouteParams(buildFeedFilterParams(feedFilters));
+}
+
+function setupFeedFilters(params = {}) {
+  const form = document.getElementById('feed-filters');
+  if (!form) return;
+
+  if (!form.dataset.bound) {
+    form.dataset.bound = 'true';
+    form.elements.source.innerHTML = html`
+      <option value="all">All Sources</option>
+      ${scoreProviders.map(name => html`<option value="${name}">${name}</option>`)}
+    `;
+    form.addEventListener('input', () => applyFeedFilters(readFeedFilters(form)));
+    form.addEventListener('change', updateFeedFilterRoute);
+    form.addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('feed-filters-reset').addEventListener('click', () => {
+      writeFeedFilters(form, defaultFeedFilters);
+      applyFeedFilters({ ...defaultFeedFilters });
+      updateFeedFilterRoute();
+    });
+  }
+
+  feedFilters = parseFeedFilters(params);
+  writeFeedFilters(form, feedFilters);
+  renderLiveEvents();
+  renderBettingOdds();
+}
+
+// Watchlist
+// Starred teams and games, kept in localStorage.watchlist. A game is watched when it is
+// starred or either of its teams is; watched games are pinned above the rest of every event
+// list, and their score changes, period changes and large odds moves raise a toast
+const watchOddsMoves = {
+  // Change in a moneyline side's implied probability
+  probability: 0.05,
+  // Points a spread or total line moves
+  line: 1
+};
+const toastDuration = 8000;
+const toastLimit = 4;
+const watchlist = loadWatchlist();
+
+function loadWatchlist() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('watchlist')) || {};
+    return {
+      teams: Array.isArray(stored.teams) ? stored.teams.filter(team => typeof team === 'string') : [],
+      events: Array.isArray(stored.events) ? stored.events.filter(id => typeof id === 'string') : []
+    };
+  } catch (error) {
+    return { teams: [], events: [] };
+  }
+}
+
+function saveWatchlist() {
+  localStorage.setItem('watchlist', JSON.stringify(watchlist));
+}
+
+function isWatched(event) {
+  return watchlist.events.includes(event.id) ||
+    [event.homeTeam, event.awayTeam].some(team => watchlist.teams.includes(team));
+}
+
+// Keeps the order within the watched and unwatched groups, so the feed's sort still applies
+function pinWatched(events) {
+  return [...events.filter(isWatched), ...events.filter(event => !isWatched(event))];
+}
+
+function toggleWatch(list, value) {
+  watchlist[list] = watchlist[list].includes(value)
+    ? watchlist[list].filter(item => item !== value)
+    : [...watchlist[list], value];
+  saveWatchlist();
+  renderLiveEvents();
+  renderBettingOdds();
+  renderEventWidgets();
+  if (eventDetail) {
+    refreshEventDetail(eventDetail.eventId);
+  }
+}
+
+function renderWatchToggle(list, value, label = '') {
+  const watched = watchlist[list].includes(value);
+  const name = list === 'teams' ? value : 'this game';
+  return html`<button type="button" class="watch-toggle${watched ? ' is-watched' : ''}" data-watch="${list}" data-watch-value="${value}" aria-pressed="${watched ? 'true' : 'false'}" title="${watched ? 'Unstar' : 'Star'} ${name}">${watched ? '★' : '☆'}${label ? ` ${label}` : ''}</button>`;
+}
+
+// Shared by every list that shows stars; returns true when the click was on one
+function handleWatchClick(e) {
+  const button = e.target.closest('[data-watch]');
+  if (!button) return false;
+
+  toggleWatch(button.dataset.watch, button.dataset.watchValue);
+  return true;
+}
+
+function getWatchPeriod(event) {
+  const state = getGameState(event);
+  return [state.phase, state.period, state.inning].join(':');
+}
+
+function notifyScoreChange(event, previous) {
+  if (!isWatched(event)) return;
+
+  const teams = `${event.awayTeam} @ ${event.homeTeam}`;
+  const summary = `${event.score.away} - ${event.score.home} · ${formatGameState(event.sport, getGameState(event))}`;
+  if (event.score.home !== previous.score.home || event.score.away !== previous.score.away) {
+    notifyWatched(event.id, `Score change: ${teams}`, summary);
+  } else if (getWatchPeriod(event) !== previous.period) {
+    notifyWatched(event.id, `${getGameState(event).phase === 'final' ? 'Final' : 'Period change'}: ${teams}`, summary);
+  }
+}
+
+function findOddsMoves(before, after, event) {
+  const format = getOddsFormat();
+  const moves = [];
+  [['away', event.awayTeam], ['home', event.homeTeam]].forEach(([side, team]) => {
+    const from = before.moneyline[side];
+    const to = after.moneyline[side];
+    if (Math.abs(impliedProbability(to) - impliedProbability(from)) >= watchOddsMoves.probability) {
+      moves.push(`${team} ${formatOdds(from, format)} → ${formatOdds(to, format)}`);
+    }
+  });
+  if (Math.abs(after.spread.line - before.spread.line) >= watchOddsMoves.line) {
+    moves.push(`spread ${formatSigned(before.spread.line)} → ${formatSigned(after.spread.line)}`);
+  }
+  if (Math.abs(after.total.line - before.total.line) >= watchOddsMoves.line) {
+    moves.push(`total ${before.total.line} → ${after.total.line}`);
+  }
+  return moves;
+}
+
+function notifyOddsMove(before, after) {
+  const event = appData.liveEvents.find(e => e.id === after.gameId);
+  if (!event || !isWatched(event)) return;
+
+  const moves = findOddsMoves(before, after, event);
+  if (moves.length) {
+    notifyWatched(event.id, `Odds move: ${event.awayTeam} @ ${event.homeTeam}`, `${after.bookmaker}: ${moves.join(', ')}`);
+  }
+}
+
+// Browser notifications follow the notification center's setting
+function notifyWatched(eventId, title, message) {
+  showToast(eventId, title, message);
+  if (alertState.browserNotifications && 'Notification' in window && Notification.permission === 'granted') {
+    new Notification(title, { body: message, tag: `watch:${eventId}` });
+  }
+}
+
+function showToast(eventId, title, message) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.dataset.eventId = eventId;
+  toast.innerHTML = html`
+    <div class="toast-body">
+      <div class="toast-title">${title}</div>
+      <div class="toast-message">${message}</div>
+    </div>
+    <button type="button" class="toast-close" data-toast-close aria-label="Dismiss">×</button>
+  `;
+  container.prepend(toast);
+  Array.from(container.children).slice(toastLimit).forEach(old => old.remove());
+  setTimeout(() => toast.remove(), toastDuration);
+}
+
+function setupToasts() {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  container.addEventListener('click', (e) => {
+    const toast = e.target.closest('.toast');
+    if (!toast) return;
+
+    toast.remove();
+    if (!e.target.closest('[data-toast-close]')) {
+      navigateTo('event-detail', { eventId: toast.dataset.eventId });
+    }
+  });
+}
+
+// Event detail
+const providerUpdateCadence = {
+  'SportsDataIO': 'Push, < 100ms',
+  'Sportradar': 'Push, < 50ms',
+  'The Odds API': 'Polled, < 2 min',
+  'API-Sports': 'Polled, every 15s'
+};
+let eventDetail = null;
+
+function setupEventSelection() {
+  const container = document.getElementById('live-events');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  container.addEventListener('click', (e) => {
+    if (handleWatchClick(e)) return;
+
+    const item = e.target.closest('.event-item');
+    if (item) {
+      navigateTo('event-detail', { eventId: item.dataset.eventId });
+    }
+  });
+}
+
+async function initializeEventDetail(eventId) {
+  const backButton = document.getElementById('event-detail-back');
+  if (backButton && !backButton.dataset.bound) {
+    backButton.dataset.bound = 'true';
+    backButton.addEventListener('click', () => navigateTo('live-feed'));
+  }
+  const content = document.getElementById('event-detail-content');
+  if (content && !content.dataset.bound) {
+    content.dataset.bound = 'true';
+    content.addEventListener('click', handleWatchClick);
+  }
+
+  if (!appData.liveEvents.length) {
+    await loadData(['liveEvents', 'bettingOdds', 'apiStatus']);
+  }
+
+  eventDetail = { eventId, periods: [], plays: [] };
+  try {
+    eventDetail = { eventId, ...await dataProvider.getEventDetail(eventId) };
+  } catch (error) {
+    console.error(`Failed to load detail for ${eventId}:`, error);
+  }
+  renderEventDetail();
+}
+
+function refreshEventDetail(eventId) {
+  const page = document.getElementById('event-detail');
+  if (eventDetail && eventDetail.eventId === eventId && page && page.classList.contains('active')) {
+    renderEventDetail();
+  }
+}
+
+function renderEventDetail() {
+  const title = document.getElementById('event-detail-title');
+  const container = document.getElementById('event-detail-content');
+  if (!container || !eventDetail) return;
+
+  const event = appData.liveEvents.find(e => e.id === eventDetail.eventId);
+  if (!event) {
+    title.textContent = 'Event not found';
+    container.innerHTML = html`<div class="empty-state">No live event with id ${eventDetail.eventId}.</div>`;
+    return;
+  }
+
+  const gameOdds = appData.bettingOdds.filter(odds => odds.gameId === event.id);
+  const { provider, fallback } = getEventSource(event);
+  title.textContent = `${event.awayTeam} @ ${event.homeTeam}`;
+  container.innerHTML = html`
+    <div class="detail-summary">
+      <div class="detail-score">
+        <div class="event-sport">${event.sport}</div>
+        <div class="score">${event.score.away} - ${event.score.home}</div>
+        ${renderGameState(event)}
+        <div class="detail-watch">
+          ${renderWatchToggle('events', event.id, 'Game')}
+          ${renderWatchToggle('teams', event.awayTeam, event.awayTeam)}
+          ${renderWatchToggle('teams', event.homeTeam, event.homeTeam)}
+        </div>
+      </div>
+      <div class="detail-source">
+        <div class="metric">
+          <span class="metric-label">Source:</span>
+          <span class="metric-value">${provider}${fallback ? ` (fallback for ${fallback})` : ''}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Update cadence:</span>
+          <span class="metric-value">${providerUpdateCadence[provider] || 'Unknown'}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Observed:</span>
+          <span class="metric-value">${formatObservedCadence(event.id)}</span>
+        </div>
+        <div class="metric">
+          <span class="metric-label">Last update:</span>
+          <span class="metric-value" data-timestamp="${event.timestamp}">${formatRelativeTime(event.timestamp)}</span>
+        </div>
+      </div>
+    </div>
+
+    <div class="detail-grid">
+      <div class="feed-section">
+        <h3>Score by Period</h3>
+        ${renderPeriodTable(event, eventDetail.periods)}
+      </div>
+      <div class="feed-section">
+        <h3>Scoring Timeline</h3>
+        ${renderPlayTimeline(event, eventDetail.plays)}
+      </div>
+    </div>
+
+    <div class="feed-section">
+      <h3>Odds</h3>
+      <div class="odds-list">
+        ${gameOdds.length ? renderOddsItem(gameOdds) : html`<div class="empty-state">No odds for this event.</div>`}
+      </div>
+    </div>
+  `;
+}
+
+function renderPeriodTable(event, periods) {
+  if (!periods.length) {
+    return html`<div class="empty-state">No period breakdown available.</div>`;
+  }
+
+  const row = (team, side) => html`
+    <tr>
+      <td>${team}</td>
+      ${periods.map(period => html`<td>${period[side]}</td>`)}
+      <td class="period-total">${event.score[side]}</td>
+    </tr>
+  `;
+  return html`
+    <table class="period-table">
+      <thead>
+        <tr>
+          <th>Team</th>
+          ${periods.map(period => html`<th>${period.label}</th>`)}
+          <th>T</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row(event.awayTeam, 'away')}
+        ${row(event.homeTeam, 'home')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderPlayTimeline(event, plays) {
+  if (!plays.length) {
+    return html`<div class="empty-state">No scoring plays yet.</div>`;
+  }
+
+  return html`
+    <ol class="play-timeline">
+      ${plays.slice().reverse().map(play => html`
+        <li class="play-item play-item--${play.team}">
+          <div class="play-when">${play.period} ${play.clock}</div>
+          <div class="play-description">
+            <strong>${play.team === 'home' ? event.homeTeam : event.awayTeam}</strong> ${play.description}
+          </div>
+          <div class="play-score">${play.score.away} - ${play.score.home}</div>
+        </li>
+      `)}
+    </ol>
+  `;
+}
+
+function formatObservedCadence(eventId) {
+  const history = scoreHistory.get(eventId) || [];
+  if (history.length < 2) return 'Waiting for updates';
+
+  const times = history.map(entry => new Date(entry.timestamp).getTime());
+  const averageGap = (times[times.length - 1] - times[0]) / (times.length - 1) / 1000;
+  return `Every ${averageGap.toFixed(1)}s on average`;
+}
+
+// Live WebSocket feed
+const liveSubscriptions = ['live_scores', 'betting_odds'];
+let liveSocket = null;
+
+function createLiveSocket(url, { subscriptions, onMessage, onStatusChange }) {
+  const heartbeatTimeout = 30000;
+  const maxReconnectDelay = 30000;
+  let socket = null;
+  let attempts = 0;
+  let lastMessageAt = 0;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let heartbeatLost = false;
+  let stopped = true;
+
+  function connect(keepStatus = false) {
+    if (!keepStatus) {
+      onStatusChange(attempts ? 'reconnecting' : 'connecting');
+    }
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      attempts = 0;
+      lastMessageAt = Date.now();
+      // Subscriptions live on the server-side connection, so every new socket has to ask again
+      socket.send(JSON.stringify({ action: 'subscribe', subscriptions }));
+      onStatusChange('connected');
+    };
+
+    socket.onmessage = (e) => {
+      lastMessageAt = Date.now();
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (error) {
+        console.warn('Ignoring malformed live message:', e.data);
+        return;
+      }
+      if (message.type !== 'heartbeat') {
+        onMessage(message);
+      }
+    };
+
+    socket.onclose = () => {
+      const afterStale = heartbeatLost;
+      socket = null;
+      heartbeatLost = false;
+      if (!stopped) {
+        scheduleReconnect(afterStale);
+      }
+    };
+
+    socket.onerror = () => {
+      if (socket) socket.close();
+    };
+  }
+
+  // A socket dropped for missing heartbeats stays 'stale' until the reconnect after it
+  // succeeds or fails
+  function scheduleReconnect(afterStale = false) {
+    const delay = Math.min(maxReconnectDelay, 1000 * 2 ** attempts) * (0.5 + Math.random() / 2);
+    attempts++;
+    if (!afterStale) {
+      onStatusChange('disconnected');
+    }
+    reconnectTimer = setTimeout(() => connect(afterStale), delay);
+  }
+
+  // A half-open connection never fires onclose, so treat a silent socket as dead
+  function checkHeartbeat() {
+    if (socket && socket.readyState === WebSocket.OPEN && Date.now() - lastMessageAt > heartbeatTimeout) {
+      heartbeatLost = true;
+      onStatusChange('stale');
+      socket.close();
+    }
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+      heartbeatTimer = setInterval(checkHeartbeat, 5000);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(heartbeatTimer);
+      if (socket) socket.close();
+      onStatusChange('disconnected');
+    }
+  };
+}
+
+// Stands in for the WebSocket API when the dashboard runs on fixture data
+function createSimulatedLiveSocket({ onMessage, onStatusChange }) {
+  let timer = null;
+
+  function emit() {
+    if (Math.random() > 0.5 && appData.liveEvents.length) {
+      const event = appData.liveEvents[Math.floor(Math.random() * appData.liveEvents.length)];
+      const side = Math.random() > 0.5 ? 'home' : 'away';
+      const source = getEventSource(event).provider;
+      const before = { ...event.score };
+      const score = { ...event.score, [side]: event.score[side] + 1 };
+      onMessage({
+        type: 'live_scores',
+        data: { id: event.id, source, score }
+      });
+      // Another provider reports the same play a little later, occasionally missing it at first
+      const echoSource = scoreProviders.find(name => name !== source);
+      const missed = Math.random() < 0.2;
+      setTimeout(() => onMessage({
+        type: 'live_scores',
+        data: { id: event.id, source: echoSource, score: missed ? before : score }
+      }), 1500);
+    } else if (appData.bettingOdds.length) {
+      const odds = appData.bettingOdds[Math.floor(Math.random() * appData.bettingOdds.length)];
+      const move = Math.random() > 0.5 ? 5 : -5;
+      // The odds feed now and then drops a price, which validation has to catch
+      const dropped = Math.random() < 0.05;
+      onMessage({
+        type: 'betting_odds',
+        data: {
+          gameId: odds.gameId,
+          bookmaker: odds.bookmaker,
+          moneyline: { home: odds.moneyline.home + move, away: dropped ? null : odds.moneyline.away - move }
+        }
+      });
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      onStatusChange('connected');
+      timer = setInterval(emit, 4000);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      onStatusChange('disconnected');
+    }
+  };
+}
+
+function startLiveSocket() {
+  if (liveSocket) return;
+
+  const handlers = {
+    subscriptions: liveSubscriptions,
+    onMessage: applyLiveMessage,
+    onStatusChange: updateConnectionStatus
+  };
+  liveSocket = dataSourceConfig.type === 'rest'
+    ? createLiveSocket(dataSourceConfig.wsUrl, handlers)
+    : createSimulatedLiveSocket(handlers);
+  liveSocket.start();
+}
+
+let liveConnectionStatus = 'disconnected';
+
+function updateConnectionStatus(status) {
+  liveConnectionStatus = status;
+  const indicator = document.getElementById('feed-connection');
+  if (!indicator) return;
+
+  const labels = {
+    connecting: ['Connecting', 'warning'],
+    connected: ['Live', 'success'],
+    reconnecting: ['Reconnecting', 'warning'],
+    stale: ['No heartbeat', 'error'],
+    disconnected: ['Disconnected', 'error'],
+    replay: ['Replay', 'info']
+  };
+  const [label, level] = labels[replay.session ? 'replay' : status] || labels.disconnected;
+  indicator.textContent = label;
+  indicator.className = `status status--${level}`;
+}
+
+function applyLiveMessage(message) {
+  // Live updates are dropped while a replay is on screen; exiting reloads current data
+  if (replay.session) return;
+
+  switch(message.type) {
+    case 'live_scores':
+      acceptPayloads('liveEvents', [message.data], { partial: true }).forEach(applyScoreUpdate);
+      break;
+    case 'betting_odds':
+      acceptPayloads('bettingOdds', [message.data], { partial: true }).forEach(applyOddsUpdate);
+      break;
+  }
+}
+
+function applyScoreUpdate(update) {
+  const event = appData.liveEvents.find(e => e.id === update.id);
+  if (event && update.score) {
+    ingestProviderReport({
+      gameId: event.id,
+      source: update.source || getEventSource(event).provider,
+      score: update.score,
+      status: update.status || event.status,
+      timestamp: new Date().toISOString()
+    });
+  }
+  // Once an event has failed over, reports from other providers are ignored
+  if (event && update.source && update.source !== getEventSource(event).provider) return;
+  if (!event) {
+    const record = { timestamp: new Date().toISOString(), ...update };
+    // Only a complete event can start a card; partial updates need one to patch
+    if (validateEvent(record).length) return;
+    recordSessionMessage('live_scores', update);
+    appData.liveEvents.push(record);
+    renderLiveEvents();
+    return;
+  }
+
+  recordSessionMessage('live_scores', update);
+
+  const previous = { score: { ...event.score }, period: getWatchPeriod(event) };
+  // The event keeps its own source while a fallback provider serves it, so it switches back
+  // once that source recovers
+  const { source, ...changes } = update;
+  Object.assign(event, { timestamp: new Date().toISOString() }, changes);
+  recordScoreHistory(event);
+  notifyScoreChange(event, previous);
+  renderEventWidgets();
+  refreshLineMovementChart(event.id);
+  refreshEventDetail(event.id);
+  // A score or period change can move the event, and its odds, in a filtered or sorted feed
+  if (isFeedNarrowed()) {
+    renderLiveEvents();
+    renderBettingOdds();
+  }
+  const item = findFeedItem('live-events', el => el.dataset.eventId === event.id);
+  if (!item) return;
+
+  item.querySelector('.score').textContent = `${event.score.away} - ${event.score.home}`;
+  item.querySelector('.event-status').outerHTML = renderGameState(event);
+  item.querySelector('.event-updated').dataset.timestamp = event.timestamp;
+  markDataUpdated(event.timestamp);
+  tickRelativeTimes();
+  flashFeedItem(item);
+}
+
+function applyOddsUpdate(update) {
+  const existing = appData.bettingOdds.find(o => o.gameId === update.gameId && o.bookmaker === update.bookmaker);
+  const odds = existing || { timestamp: new Date().toISOString(), ...update };
+  // Only a complete line can start a book; partial updates need one to patch
+  if (!existing && validateOdds(odds).length) return;
+
+  recordSessionMessage('betting_odds', update);
+  if (existing) {
+    const previous = cloneData(existing);
+    Object.assign(existing, { timestamp: new Date().toISOString() }, update);
+    notifyOddsMove(previous, existing);
+  } else {
+    appData.bettingOdds.push(odds);
+  }
+  recordOddsHistory(odds);
+  refreshLineMovementChart(update.gameId);
+  refreshEventDetail(update.gameId);
+
+  const gameOdds = appData.bettingOdds.filter(o => o.gameId === update.gameId);
+  const item = findFeedItem('betting-odds', el => el.dataset.gameId === update.gameId);
+  // A new game, or one the filters hide, goes through a full render
+  if (!item) {
+    renderBettingOdds();
+    return;
+  }
+
+  // Best lines and arbitrage depend on every book for the game, so the whole card is rebuilt
+  item.innerHTML = renderOddsItemContent(gameOdds);
+  markDataUpdated();
+  tickRelativeTimes();
+  flashFeedItem(item);
+}
+
+function findFeedItem(containerId, predicate) {
+  const container = document.getElementById(containerId);
+  return container ? Array.from(container.children).find(predicate) : null;
+}
+
+function flashFeedItem(item) {
+  item.classList.remove('is-updated');
+  // Force a reflow so the animation restarts on back-to-back updates
+  void item.offsetWidth;
+  item.classList.add('is-updated');
+}
+
+// Session recording and replay
+// A recording is a snapshot of the feed when recording started plus every update the
+// feed applied after it, each with its offset in milliseconds
+const replaySpeeds = [0.5, 1, 2, 4, 8];
+const replayTickMs = 250;
+const sessionRecorder = { recording: null, last: null };
+const replay = { session: null, position: 0, speed: 1, timer: null, applied: -1 };
+
+function cloneData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+function startRecording() {
+  sessionRecorder.recording = {
+    version: 1,
+    startedAt: new Date().toISOString(),
+    snapshot: cloneData({ liveEvents: appData.liveEvents, bettingOdds: appData.bettingOdds }),
+    messages: []
+  };
+  renderSessionControls();
+}
+
+function stopRecording() {
+  const recording = sessionRecorder.recording;
+  if (!recording) return;
+
+  recording.endedAt = new Date().toISOString();
+  sessionRecorder.last = recording;
+  sessionRecorder.recording = null;
+  renderSessionControls();
+}
+
+function recordSessionMessage(type, data) {
+  const recording = sessionRecorder.recording;
+  if (!recording) return;
+
+  recording.messages.push({
+    offset: Date.now() - Date.parse(recording.startedAt),
+    type,
+    data: cloneData(data)
+  });
+  renderSessionControls();
+}
+
+function downloadRecording() {
+  if (!sessionRecorder.last) return;
+  downloadFile(buildExportFilename('live-feed-session', {}, 'json'), JSON.stringify(sessionRecorder.last, null, 2), 'application/json');
+}
+
+function isValidSession(session) {
+  return Boolean(session && session.snapshot &&
+    Array.isArray(session.snapshot.liveEvents) &&
+    Array.isArray(session.snapshot.bettingOdds) &&
+    session.snapshot.liveEvents.every(event => !validateEvent(event).length) &&
+    session.snapshot.bettingOdds.every(odds => !validateOdds(odds).length) &&
+    Array.isArray(session.messages) &&
+    !isNaN(Date.parse(session.startedAt)) &&
+    !isNaN(Date.parse(session.endedAt)));
+}
+
+async function loadRecording(file) {
+  try {
+    const session = JSON.parse(await file.text());
+    if (!isValidSession(session)) {
+      throw new Error('not a live feed recording');
+    }
+    startReplay(session);
+  } catch (error) {
+    console.error(`Failed to load recording ${file.name}:`, error);
+    setSessionStatus(`Could not load ${file.name}: ${error.message}`);
+  }
+}
+
+function getSessionDuration(session) {
+  return Math.max(0, Date.parse(session.endedAt) - Date.parse(session.startedAt));
+}
+
+function startReplay(session) {
+  stopRecording();
+  pauseReplay();
+  replay.session = session;
+  replay.position = 0;
+  replay.applied = -1;
+  updateConnectionStatus(liveConnectionStatus);
+  renderReplayPosition(true);
+  renderSessionControls();
+}
+
+function playReplay() {
+  if (!replay.session || replay.timer) return;
+  if (replay.position >= getSessionDuration(replay.session)) {
+    replay.position = 0;
+  }
+  replay.timer = setInterval(() => {
+    replay.position = Math.min(getSessionDuration(replay.session), replay.position + replayTickMs * replay.speed);
+    renderReplayPosition();
+    if (replay.position >= getSessionDuration(replay.session)) {
+      pauseReplay();
+    }
+  }, replayTickMs);
+  renderSessionControls();
+}
+
+function pauseReplay() {
+  clearInterval(replay.timer);
+  replay.timer = null;
+  renderSessionControls();
+}
+
+function seekReplay(position) {
+  replay.position = Math.max(0, Math.min(getSessionDuration(replay.session), position));
+  renderReplayPosition();
+}
+
+function exitReplay() {
+  pauseReplay();
+  replay.session = null;
+  updateConnectionStatus(liveConnectionStatus);
+  renderSessionControls();
+  // Live updates were dropped during the replay, so the feed is fetched again
+  loadedLiveData.clear();
+  initializeLiveFeed(parseRoute(window.location.hash).params);
+}
+
+// Feed state at a position is rebuilt from the snapshot, so scrubbing backwards works
+function getReplayState(session, position) {
+  const state = cloneData(session.snapshot);
+  const startedAt = Date.parse(session.startedAt);
+  session.messages.forEach(message => {
+    if (message.offset > position) return;
+    const timestamp = new Date(startedAt + message.offset).toISOString();
+    // Recordings are files from anywhere, so updates that wouldn't have passed validation are skipped
+    if (message.type === 'live_scores') {
+      const event = state.liveEvents.find(e => e.id === message.data.id);
+      // As in applyScoreUpdate, a known event keeps its own source whoever reported the update
+      const { source, ...changes } = message.data;
+      const updated = event ? { ...event, timestamp, ...changes } : { timestamp, ...message.data };
+      if (validateEvent(updated).length) return;
+      if (event) {
+        Object.assign(event, updated);
+      } else {
+        state.liveEvents.push(updated);
+      }
+    } else if (message.type === 'betting_odds') {
+      const odds = state.bettingOdds.find(o => o.gameId === message.data.gameId && o.bookmaker === message.data.bookmaker);
+      const updated = { ...odds, timestamp, ...message.data };
+      if (validateOdds(updated).length) return;
+      if (odds) {
+        Object.assign(odds, updated);
+      } else {
+        state.bettingOdds.push(updated);
+      }
+    }
+  });
+  return state;
+}
+
+// The feed is only re-rendered when the position crosses another recorded update
+function renderReplayPosition(force = false) {
+  if (!replay.session) return;
+
+  const applied = replay.session.messages.filter(message => message.offset <= replay.position).length;
+  if (force || applied !== replay.applied) {
+    const state = getReplayState(replay.session, replay.position);
+    appData.liveEvents = state.liveEvents;
+    appData.bettingOdds = state.bettingOdds;
+    renderLiveEvents();
+    renderBettingOdds();
+    replay.applied = applied;
+  }
+
+  const scrub = document.getElementById('replay-scrub');
+  const clock = document.getElementById('replay-clock');
+  if (scrub) {
+    scrub.max = getSessionDuration(replay.session);
+    scrub.value = replay.position;
+  }
+  if (clock) {
+    const at = new Date(Date.parse(replay.session.startedAt) + replay.position);
+    clock.textContent = `${formatReplayOffset(replay.position)} / ${formatReplayOffset(getSessionDuration(replay.session))} (${at.toLocaleTimeString()})`;
+  }
+}
+
+function formatReplayOffset(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function setSessionStatus(text) {
+  const status = document.getElementById('session-status');
+  if (status) {
+    status.textContent = text;
+  }
+}
+
+function renderSessionControls() {
+  const recordButton = document.getElementById('session-record');
+  const downloadButton = document.getElementById('session-download');
+  const replayButton = document.getElementById('session-replay');
+  const replayControls = document.getElementById('replay-controls');
+  const toggleButton = document.getElementById('replay-toggle');
+  if (!recordButton) return;
+
+  const recording = sessionRecorder.recording;
+  recordButton.textContent = recording ? '■ Stop Recording' : '● Record';
+  recordButton.disabled = Boolean(replay.session);
+  downloadButton.disabled = !sessionRecorder.last;
+  replayButton.disabled = !sessionRecorder.last || Boolean(recording);
+  replayControls.classList.toggle('hidden', !replay.session);
+  toggleButton.textContent = replay.timer ? 'Pause' : 'Play';
+
+  if (recording) {
+    setSessionStatus(`Recording: ${recording.messages.length} updates since ${new Date(recording.startedAt).toLocaleTimeString()}`);
+  } else if (replay.session) {
+    setSessionStatus(`Replaying ${replay.session.messages.length} updates recorded ${new Date(replay.session.startedAt).toLocaleString()}`);
+  } else if (sessionRecorder.last) {
+    setSessionStatus(`Recorded ${sessionRecorder.last.messages.length} updates over ${formatReplayOffset(getSessionDuration(sessionRecorder.last))}`);
+  } else {
+    setSessionStatus('Not recording');
+  }
+}
+
+function setupSessionControls() {
+  const recordButton = document.getElementById('session-record');
+  if (!recordButton || recordButton.dataset.bound) return;
+
+  recordButton.dataset.bound = 'true';
+  const fileInput = document.getElementById('session-file');
+  const speedSelect = document.getElementById('replay-speed');
+  speedSelect.innerHTML = html`${replaySpeeds.map(speed => html`<option value="${speed}" ${speed === replay.speed ? 'selected' : ''}>${speed}x</option>`)}`;
+
+  recordButton.addEventListener('click', () => {
+    if (sessionRecorder.recording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  });
+  document.getElementById('session-download').addEventListener('click', downloadRecording);
+  document.getElementById('session-replay').addEventListener('click', () => startReplay(sessionRecorder.last));
+  document.getElementById('session-load').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) {
+      loadRecording(fileInput.files[0]);
+    }
+    fileInput.value = '';
+  });
+  document.getElementById('replay-toggle').addEventListener('click', () => {
+    if (replay.timer) {
+      pauseReplay();
+    } else {
+      playReplay();
+    }
+  });
+  document.getElementById('replay-scrub').addEventListener('input', (e) => seekReplay(Number(e.target.value)));
+  speedSelect.addEventListener('change', (e) => {
+    replay.speed = Number(e.target.value);
+  });
+  document.getElementById('replay-exit').addEventListener('click', exitReplay);
+}
+
+// Provider failover
+// Score providers in order of preference per sport. An event is served by its own source while
+// that is healthy, and otherwise by the first healthy provider in its sport's order.
+// Overridden from the API Management page and kept in localStorage.providerPriority
+const scoreProviders = ['SportsDataIO', 'Sportradar', 'API-Sports'];
+const defaultProviderPriority = {
+  NFL: ['SportsDataIO', 'Sportradar', 'API-Sports'],
+  NBA: ['Sportradar', 'SportsDataIO', 'API-Sports'],
+  MLB: ['API-Sports', 'SportsDataIO', 'Sportradar'],
+  NHL: ['Sportradar', 'SportsDataIO', 'API-Sports'],
+  Soccer: ['API-Sports', 'Sportradar', 'SportsDataIO']
+};
+const healthyProviderStatuses = ['healthy', 'warning'];
+// A provider that hasn't answered a call in this long is treated as down
+const providerStaleAfter = 60;
+
+function getProviderPriority() {
+  try {
+    return { ...defaultProviderPriority, ...JSON.parse(localStorage.getItem('providerPriority')) };
+  } catch (error) {
+    return { ...defaultProviderPriority };
+  }
+}
+
+function setProviderPriority(sport, providers) {
+  const stored = { ...getProviderPriority(), [sport]: providers };
+  localStorage.setItem('providerPriority', JSON.stringify(stored));
+}
+
+function isProviderHealthy(name, now = Date.now()) {
+  const api = appData.apiStatus.find(a => a.name === name);
+  // Without health data there is nothing to fail over from
+  if (!api) return !appData.apiStatus.length;
+  return healthyProviderStatuses.includes(api.status) &&
+    (now - Date.parse(api.lastCall)) / 1000 <= providerStaleAfter;
+}
+
+// Returns the provider serving the event and, when that isn't the event's own source,
+// the source it fell back from
+function getEventSource(event) {
+  if (isProviderHealthy(event.source)) {
+    return { provider: event.source, fallback: null };
+  }
+  const priority = getProviderPriority()[event.sport] || scoreProviders;
+  const provider = priority.find(name => name !== event.source && isProviderHealthy(name));
+  return provider ? { provider, fallback: event.source } : { provider: event.source, fallback: null };
+}
+
+function renderEventSource(event) {
+  const { provider, fallback } = getEventSource(event);
+  return html`
+    <div class="event-source-group">
+      <div class="event-source">${provider}</div>
+      ${fallback ? html`<div class="fallback-badge" title="${fallback} is unhealthy or stale">Fallback</div>` : ''}
     </div>
-  `).join('');
+  `;
 }
 
-function renderBettingOdds() {
-  const container = document.getElementById('betting-odds');
+// Called whenever provider health or priorities change
+function refreshEventSources() {
+  appData.liveEvents.forEach(event => {
+    const item = findFeedItem('live-events', el => el.dataset.eventId === event.id);
+    if (item) {
+      item.querySelector('.event-source-group').outerHTML = renderEventSource(event);
+    }
+    refreshEventDetail(event.id);
+  });
+}
+
+function renderProviderPriority() {
+  const container = document.getElementById('provider-priority');
+  if (!container) return;
+
+  container.innerHTML = html`${Object.entries(getProviderPriority()).map(([sport, providers]) => html`
+    <div class="priority-row" data-sport="${sport}">
+      <div class="priority-sport">${sport}</div>
+      <ol class="priority-list">
+        ${providers.map((name, index) => html`
+          <li class="priority-provider ${isProviderHealthy(name) ? '' : 'unhealthy'}">
+            <span class="priority-name">${name}</span>
+            <button class="btn btn--sm btn--secondary" data-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="Move ${name} up">↑</button>
+            <button class="btn btn--sm btn--secondary" data-move="1" data-index="${index}" ${index === providers.length - 1 ? 'disabled' : ''} aria-label="Move ${name} down">↓</button>
+          </li>
+        `)}
+      </ol>
+    </div>
+  `)}`;
+}
+
+function setupProviderPriority() {
+  const container = document.getElementById('provider-priority');
+  const resetButton = document.getElementById('reset-provider-priority');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-move]');
+    if (!button) return;
+
+    const sport = button.closest('.priority-row').dataset.sport;
+    const providers = [...getProviderPriority()[sport]];
+    const index = Number(button.dataset.index);
+    const target = index + Number(button.dataset.move);
+    [providers[index], providers[target]] = [providers[target], providers[index]];
+    setProviderPriority(sport, providers);
+    renderProviderPriority();
+    refreshEventSources();
+  });
+
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      localStorage.removeItem('providerPriority');
+      renderProviderPriority();
+      refreshEventSources();
+    });
+  }
+}
+
+// Score reconciliation
+// Latest report per provider per game; every new report is compared with the other
+// providers' latest for the same game and the agreement rate becomes the accuracy metric
+const reconciliation = {
+  reports: new Map(),
+  comparisons: 0,
+  agreements: 0,
+  discrepancies: new Map(),
+  dismissed: new Map(),
+  loaded: false
+};
+
+// Game clocks drift between providers, so only the period of each report's state is compared
+function getReportPeriod(report) {
+  const event = appData.liveEvents.find(e => e.id === report.gameId);
+  const state = getGameState({ ...report, sport: event && event.sport });
+  return [state.phase, state.period, state.inning, state.half].join(':');
+}
+
+function findReportDifferences(a, b) {
+  const differences = [];
+  if (a.score.home !== b.score.home || a.score.away !== b.score.away) {
+    differences.push('score');
+  }
+  if (getReportPeriod(a) !== getReportPeriod(b)) {
+    differences.push('status');
+  }
+  return differences;
+}
+
+function ingestProviderReport(report) {
+  if (!reconciliation.reports.has(report.gameId)) {
+    reconciliation.reports.set(report.gameId, new Map());
+  }
+  const gameReports = reconciliation.reports.get(report.gameId);
+  const previous = gameReports.get(report.source);
+  // A provider's reports only count once, and never over a newer one
+  if (previous && Date.parse(report.timestamp) <= Date.parse(previous.timestamp)) return;
+
+  gameReports.set(report.source, report);
+  gameReports.forEach((other, source) => {
+    if (source === report.source) return;
+    reconciliation.comparisons++;
+    if (!findReportDifferences(report, other).length) {
+      reconciliation.agreements++;
+    }
+  });
+  reconcileGame(report.gameId);
+  renderMetricWidgets();
+}
+
+// Each event is also its primary provider's report. Loaded data is only ingested once; after
+// that the live feed reports every change
+function reconcileLoadedReports() {
+  if (reconciliation.loaded || !appData.liveEvents.length) return;
+
+  reconciliation.loaded = true;
+  appData.liveEvents.forEach(event => ingestProviderReport({
+    gameId: event.id,
+    source: event.source,
+    score: event.score,
+    status: event.status,
+    timestamp: event.timestamp
+  }));
+  appData.providerReports.forEach(ingestProviderReport);
+}
+
+// A game is in the queue while its providers' latest reports disagree
+function reconcileGame(gameId) {
+  const reports = Array.from(reconciliation.reports.get(gameId).values());
+  const fields = new Set();
+  reports.forEach((report, i) => reports.slice(i + 1).forEach(other => {
+    findReportDifferences(report, other).forEach(field => fields.add(field));
+  }));
+
+  if (!fields.size) {
+    reconciliation.discrepancies.delete(gameId);
+    reconciliation.dismissed.delete(gameId);
+  } else {
+    const existing = reconciliation.discrepancies.get(gameId);
+    reconciliation.discrepancies.set(gameId, {
+      gameId,
+      fields: Array.from(fields),
+      reports,
+      detectedAt: existing ? existing.detectedAt : new Date().toISOString()
+    });
+  }
+  renderDiscrepancyQueue();
+}
+
+function getAccuracy() {
+  return reconciliation.comparisons ? reconciliation.agreements / reconciliation.comparisons : null;
+}
+
+// Dismissing hides a discrepancy until one of its providers reports again
+function getOpenDiscrepancies() {
+  return Array.from(reconciliation.discrepancies.values()).filter(discrepancy => {
+    const dismissedAt = reconciliation.dismissed.get(discrepancy.gameId);
+    return !dismissedAt || discrepancy.reports.some(report => report.timestamp > dismissedAt);
+  });
+}
+
+function renderDiscrepancyQueue() {
+  const container = document.getElementById('discrepancy-queue');
+  const count = document.getElementById('discrepancy-count');
   if (!container) return;
 
-  container.innerHTML = appData.bettingOdds.map(odds => {
-    const event = appData.liveEvents.find(e => e.id === odds.gameId);
-    return `
-      <div class="odds-item">
+  const discrepancies = getOpenDiscrepancies();
+  if (count) {
+    count.textContent = discrepancies.length;
+    count.className = `status status--${discrepancies.length ? 'warning' : 'success'}`;
+  }
+
+  if (!discrepancies.length) {
+    container.innerHTML = '<div class="empty-state">All providers agree.</div>';
+    return;
+  }
+
+  container.innerHTML = html`${discrepancies.map(discrepancy => {
+    const event = appData.liveEvents.find(e => e.id === discrepancy.gameId);
+    return html`
+      <div class="discrepancy-item" data-game-id="${discrepancy.gameId}">
         <div class="event-header">
-          <div class="event-teams">${event ? `${event.awayTeam} @ ${event.homeTeam}` : 'Game'}</div>
-          <div class="event-sport">${odds.bookmaker}</div>
-        </div>
-        <div class="odds-grid">
-          <div class="odds-section">
-            <div class="odds-label">Moneyline</div>
-            <div class="odds-values">${odds.moneyline.away > 0 ? '+' : ''}${odds.moneyline.away} / ${odds.moneyline.home > 0 ? '+' : ''}${odds.moneyline.home}</div>
-          </div>
-          <div class="odds-section">
-            <div class="odds-label">Spread</div>
-            <div class="odds-values">${odds.spread.line > 0 ? '+' : ''}${odds.spread.line}</div>
-          </div>
-          <div class="odds-section">
-            <div class="odds-label">Total</div>
-            <div class="odds-values">O/U ${odds.total.over}</div>
-          </div>
+          <div class="event-teams">${event ? `${event.awayTeam} @ ${event.homeTeam}` : discrepancy.gameId}</div>
+          <div class="discrepancy-fields">${discrepancy.fields.join(', ')} mismatch</div>
         </div>
-        <div class="event-meta">
-          <div class="event-updated">${odds.lastUpdate}</div>
+        <table class="discrepancy-table">
+          <thead>
+            <tr><th>Provider</th><th>Score</th><th>Status</th><th>Reported</th></tr>
+          </thead>
+          <tbody>
+            ${discrepancy.reports.map(report => html`
+              <tr>
+                <td>${report.source}</td>
+                <td>${report.score.away} - ${report.score.home}</td>
+                <td>${report.status}</td>
+                <td>${renderTimestamp(report.timestamp, 'discrepancy-time')}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        <div class="discrepancy-meta">
+          <span>Detected ${renderTimestamp(discrepancy.detectedAt, 'discrepancy-time')}</span>
+          <button class="btn btn--sm btn--outline" data-dismiss-discrepancy="${discrepancy.gameId}">Dismiss</button>
         </div>
       </div>
     `;
-  }).join('');
-}
-
-function setupSportFilter() {
-  const filter = document.getElementById('sport-filter');
-  if (!filter) return;
-
-  filter.addEventListener('change', (e) => {
-    const selectedSport = e.target.value;
-    const eventItems = document.querySelectorAll('.event-item');
-    
-    eventItems.forEach(item => {
-      const sportElement = item.querySelector('.event-sport');
-      const sport = sportElement ? sportElement.textContent : '';
-      
-      if (selectedSport === 'all' || sport === selectedSport) {
-        item.style.display = 'block';
-      } else {
-        item.style.display = 'none';
-      }
-    });
+  })}`;
+}
+
+function setupDiscrepancyQueue() {
+  const container = document.getElementById('discrepancy-queue');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-dismiss-discrepancy]');
+    if (button) {
+      reconciliation.dismissed.set(button.dataset.dismissDiscrepancy, new Date().toISOString());
+      renderDiscrepancyQueue();
+    }
   });
 }
 
 // Architecture initialization
-function initializeArchitecture() {
+async function initializeArchitecture() {
   const toggleBtn = document.getElementById('toggle-metrics');
   const metricsSection = document.querySelector('.architecture-metrics');
   
-  if (toggleBtn && metricsSection) {
+  if (toggleBtn && metricsSection && !toggleBtn.dataset.bound) {
+    toggleBtn.dataset.bound = 'true';
     toggleBtn.addEventListener('click', () => {
       metricsSection.style.display = metricsSection.style.display === 'none' ? 'block' : 'none';
       toggleBtn.textContent = metricsSection.style.display === 'none' ? 'Show Metrics' : 'Hide Metrics';
     });
   }
+
+  setupArchitectureDiagram();
+  renderArchitectureDiagram();
+  await loadData(['systemMetrics', 'apiStatus', 'lambdaMetrics', 'apiQuotas']);
+  renderArchitectureDiagram();
+}
+
+// Architecture diagram
+// Nodes are laid out left to right in pipeline order on a 1060x400 canvas; clicking one
+// opens its detail in API Management or Monitoring
+const architectureNodes = [
+  { id: 'SportsDataIO', label: 'SportsDataIO', kind: 'api', x: 90, y: 65 },
+  { id: 'Sportradar', label: 'Sportradar', kind: 'api', x: 90, y: 155 },
+  { id: 'The Odds API', label: 'The Odds API', kind: 'api', x: 90, y: 245 },
+  { id: 'API-Sports', label: 'API-Sports', kind: 'api', x: 90, y: 335 },
+  { id: 'data-ingestion', label: 'data-ingestion', kind: 'lambda', x: 270, y: 200 },
+  { id: 'dynamodb', label: 'DynamoDB', kind: 'store', x: 450, y: 200 },
+  { id: 'stream-processor', label: 'stream-processor', kind: 'lambda', x: 630, y: 200 },
+  { id: 'websocket-handler', label: 'websocket-handler', kind: 'lambda', x: 810, y: 200 },
+  { id: 'clients', label: 'Clients', kind: 'clients', x: 980, y: 200 }
+];
+const architectureEdges = [
+  ...scoreProviders.concat('The Odds API').map(name => ({ from: name, to: 'data-ingestion' })),
+  { from: 'data-ingestion', to: 'dynamodb' },
+  { from: 'dynamodb', to: 'stream-processor' },
+  { from: 'stream-processor', to: 'websocket-handler' },
+  { from: 'websocket-handler', to: 'clients' }
+];
+const architectureNodeSize = { width: 130, height: 56 };
+// Lambda invocations in the fixture and quota burn rates are both daily totals, so edge
+// rates divide them down to per second
+const secondsPerDay = 24 * 60 * 60;
+
+function getArchitectureNodeHealth(node) {
+  const alerting = new Set(getActiveAlerts().map(alert => alert.entity));
+  switch(node.kind) {
+    case 'api': {
+      const api = appData.apiStatus.find(a => a.name === node.id);
+      if (!api) return 'unknown';
+      if (!isProviderHealthy(node.id)) return 'error';
+      return api.status === 'healthy' && !alerting.has(node.id) ? 'healthy' : 'warning';
+    }
+    case 'lambda': {
+      const lambda = appData.lambdaMetrics.find(l => l.functionName === node.id);
+      if (!lambda) return 'unknown';
+      const successRate = parseMetricNumber(lambda.successRate);
+      if (successRate < 99.9) return 'error';
+      return successRate < 99.99 || alerting.has(node.id) ? 'warning' : 'healthy';
+    }
+    case 'store': {
+      // DynamoDB has no metrics of its own; it is only as healthy as the functions around it
+      const neighbours = ['data-ingestion', 'stream-processor'].map(id => getArchitectureNodeHealth(architectureNodes.find(n => n.id === id)));
+      return ['error', 'warning', 'unknown'].find(level => neighbours.includes(level)) || 'healthy';
+    }
+    case 'clients':
+      return appData.systemMetrics.throughput ? 'healthy' : 'unknown';
+  }
+  return 'unknown';
+}
+
+function getLambdaRate(functionName) {
+  const lambda = appData.lambdaMetrics.find(l => l.functionName === functionName);
+  return lambda ? parseMetricNumber(lambda.invocations) / secondsPerDay : null;
+}
+
+// Requests per second carried by an edge, or null when there is no data for it
+function getArchitectureEdgeRate(edge) {
+  const quota = appData.apiQuotas.find(q => q.name === edge.from);
+  if (quota) {
+    return forecastQuota(quota).burnRate / secondsPerDay;
+  }
+  if (edge.to === 'clients') {
+    return appData.systemMetrics.throughput ? parseMetricNumber(appData.systemMetrics.throughput) : null;
+  }
+  return getLambdaRate(edge.to === 'dynamodb' ? edge.from : edge.to);
+}
+
+function formatRate(perSecond) {
+  if (perSecond === null) return 'no data';
+  if (perSecond >= 1) return `${Math.round(perSecond).toLocaleString()}/s`;
+  return `${Math.round(perSecond * 60).toLocaleString()}/min`;
+}
+
+function getArchitectureNodeMetric(node) {
+  switch(node.kind) {
+    case 'api': {
+      const api = appData.apiStatus.find(a => a.name === node.id);
+      return api ? `${api.responseTime} · ${api.quotaUsed}` : '';
+    }
+    case 'lambda': {
+      const lambda = appData.lambdaMetrics.find(l => l.functionName === node.id);
+      return lambda ? `${lambda.duration} · ${lambda.successRate}` : '';
+    }
+    case 'clients':
+      return appData.systemMetrics.activeStreams ? `${appData.systemMetrics.activeStreams} streams` : '';
+  }
+  return '';
+}
+
+function renderArchitectureDiagram() {
+  const svg = document.getElementById('architecture-svg');
+  if (!svg) return;
+
+  const { width, height } = architectureNodeSize;
+  const nodeById = new Map(architectureNodes.map(node => [node.id, node]));
+  const rates = architectureEdges.map(getArchitectureEdgeRate);
+  const maxRate = Math.max(1, ...rates.filter(rate => rate !== null));
+
+  const edges = architectureEdges.map((edge, i) => {
+    const from = nodeById.get(edge.from);
+    const to = nodeById.get(edge.to);
+    const x1 = from.x + width / 2;
+    const x2 = to.x - width / 2;
+    const midX = (x1 + x2) / 2;
+    // Line width follows throughput on a log scale so slow API polls stay visible
+    const strokeWidth = rates[i] === null ? 1 : 1.5 + 4 * Math.log10(1 + rates[i]) / Math.log10(1 + maxRate);
+    return html`
+      <g class="arch-edge arch-edge--${getArchitectureNodeHealth(from)}">
+        <path d="M ${x1} ${from.y} C ${midX} ${from.y}, ${midX} ${to.y}, ${x2} ${to.y}" stroke-width="${strokeWidth.toFixed(1)}" marker-end="url(#arch-arrow)"></path>
+        <text x="${midX}" y="${(from.y + to.y) / 2 - 6}" text-anchor="middle">${formatRate(rates[i])}</text>
+      </g>
+    `;
+  });
+
+  const nodes = architectureNodes.map(node => html`
+    <g class="arch-node arch-node--${getArchitectureNodeHealth(node)}" data-node="${node.id}" tabindex="0" role="button" aria-label="${node.label} details">
+      <rect x="${node.x - width / 2}" y="${node.y - height / 2}" width="${width}" height="${height}" rx="8"></rect>
+      <text class="arch-node-label" x="${node.x}" y="${node.y - 4}" text-anchor="middle">${node.label}</text>
+      <text class="arch-node-metric" x="${node.x}" y="${node.y + 14}" text-anchor="middle">${getArchitectureNodeMetric(node)}</text>
+    </g>
+  `);
+
+  svg.innerHTML = html`
+    <defs>
+      <marker id="arch-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+      </marker>
+    </defs>
+    ${edges}
+    ${nodes}
+  `;
+}
+
+function openArchitectureNode(nodeId) {
+  const node = architectureNodes.find(n => n.id === nodeId);
+  if (!node) return;
+
+  switch(node.kind) {
+    case 'api':
+      navigateTo('api-management', { api: node.id });
+      break;
+    case 'lambda':
+      navigateTo('monitoring', { fn: node.id });
+      break;
+    case 'store':
+      navigateTo('monitoring');
+      break;
+    case 'clients':
+      navigateTo('live-feed');
+      break;
+  }
+}
+
+function setupArchitectureDiagram() {
+  const svg = document.getElementById('architecture-svg');
+  if (!svg || svg.dataset.bound) return;
+
+  svg.dataset.bound = 'true';
+  svg.addEventListener('click', (e) => {
+    const node = e.target.closest('.arch-node');
+    if (node) {
+      openArchitectureNode(node.dataset.node);
+    }
+  });
+  svg.addEventListener('keydown', (e) => {
+    const node = e.target.closest('.arch-node');
+    if (node && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      openArchitectureNode(node.dataset.node);
+    }
+  });
 }
 
 // API Management initialization
-function initializeApiManagement() {
+async function initializeApiManagement(params = {}) {
+  await loadData(['apiStatus', 'apiQuotas']);
   renderApiCards();
+  focusApiCard(params.api);
+  renderQuotaForecasts();
+  renderProviderPriority();
+  setupProviderPriority();
+  renderStalenessThresholds();
+  setupStalenessThresholds();
   createApiResponseChart();
   createApiQuotaChart();
 }
@@ -400,8 +3987,9 @@ function renderApiCards() {
   const container = document.getElementById('api-list');
   if (!container) return;
 
-  container.innerHTML = appData.apiStatus.map(api => `
-    <div class="api-card">
+  const alerting = new Set(getActiveAlerts().map(alert => alert.entity));
+  container.innerHTML = html`${appData.apiStatus.map(api => html`
+    <div class="api-card${alerting.has(api.name) ? ' alerting' : ''}" data-api="${api.name}">
       <div class="api-header">
         <div class="api-name">${api.name}</div>
         <div class="api-status ${api.status}">${api.status.toUpperCase()}</div>
@@ -420,23 +4008,38 @@ function renderApiCards() {
           <div class="api-metric-label">Error Rate</div>
         </div>
         <div class="api-metric">
-          <div class="api-metric-value">${api.lastCall}</div>
+          ${renderTimestamp(api.lastCall, 'api-metric-value')}
           <div class="api-metric-label">Last Call</div>
         </div>
       </div>
+      <div class="api-rejected">
+        Rejected payloads: <span class="api-rejected-count" data-rejected-count="${api.name}">0</span>
+      </div>
     </div>
-  `).join('');
+  `)}`;
+  renderQuarantine();
+}
+
+// Linked to from the architecture diagram with #/api-management?api=<name>
+function focusApiCard(name) {
+  document.querySelectorAll('.api-card').forEach(card => {
+    const focused = card.dataset.api === name;
+    card.classList.toggle('focused', focused);
+    if (focused && card.scrollIntoView) {
+      card.scrollIntoView({ block: 'center' });
+    }
+  });
 }
 
-function createApiResponseChart() {
-  const ctx = document.getElementById('apiResponseChart');
+function createApiResponseChart(canvasId = 'apiResponseChart', chartKey = 'apiResponse') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.apiResponse) {
-    charts.apiResponse.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.apiResponse = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'bar',
     data: {
       labels: appData.apiStatus.map(api => api.name),
@@ -471,22 +4074,147 @@ function createApiResponseChart() {
   });
 }
 
-function createApiQuotaChart() {
-  const ctx = document.getElementById('apiQuotaChart');
+// Quota forecasting
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Burn rate comes from the last seven full days so it tracks the current polling
+// schedule rather than the whole period's average
+function forecastQuota(quota, now = Date.now()) {
+  const periodEnd = new Date(quota.periodEnd).getTime();
+  const used = quota.dailyUsage.reduce((sum, day) => sum + day.calls, 0);
+  const fullDays = quota.dailyUsage.slice(0, -1).slice(-7);
+  const elapsedDays = Math.max((now - new Date(quota.periodStart).getTime()) / dayMs, 1 / 24);
+  const burnRate = fullDays.length
+    ? fullDays.reduce((sum, day) => sum + day.calls, 0) / fullDays.length
+    : used / elapsedDays;
+
+  const remaining = Math.max(0, quota.limit - used);
+  const daysLeft = Math.max(0, (periodEnd - now) / dayMs);
+  const exhaustionAt = burnRate > 0 ? now + (remaining / burnRate) * dayMs : null;
+  const willExhaust = exhaustionAt !== null && exhaustionAt < periodEnd;
+  const sustainableRate = daysLeft > 0 ? remaining / daysLeft : 0;
+
+  return {
+    name: quota.name,
+    used,
+    limit: quota.limit,
+    usedRatio: used / quota.limit,
+    burnRate,
+    projectedRatio: (used + burnRate * daysLeft) / quota.limit,
+    exhaustionAt,
+    willExhaust,
+    pollingInterval: quota.pollingInterval,
+    // Calls scale inversely with the polling interval
+    recommendedInterval: willExhaust && sustainableRate > 0
+      ? Math.ceil(quota.pollingInterval * burnRate / sustainableRate)
+      : null,
+    reduction: willExhaust && burnRate > 0 ? 1 - sustainableRate / burnRate : 0
+  };
+}
+
+function renderQuotaForecasts() {
+  const container = document.getElementById('quota-forecast');
+  if (!container) return;
+
+  if (!appData.apiQuotas.length) {
+    container.innerHTML = '<div class="empty-state">No quota data available.</div>';
+    return;
+  }
+
+  container.innerHTML = html`${appData.apiQuotas.map(quota => forecastQuota(quota)).map(forecast => html`
+    <div class="quota-card ${forecast.willExhaust ? 'at-risk' : ''}">
+      <div class="api-header">
+        <div class="api-name">${forecast.name}</div>
+        <div class="api-status ${forecast.willExhaust ? 'warning' : 'healthy'}">${forecast.willExhaust ? 'AT RISK' : 'ON TRACK'}</div>
+      </div>
+      <div class="api-metrics">
+        <div class="api-metric">
+          <div class="api-metric-value">${forecast.used.toLocaleString()} / ${forecast.limit.toLocaleString()}</div>
+          <div class="api-metric-label">Calls This Period</div>
+        </div>
+        <div class="api-metric">
+          <div class="api-metric-value">${Math.round(forecast.burnRate).toLocaleString()}/day</div>
+          <div class="api-metric-label">Burn Rate</div>
+        </div>
+        <div class="api-metric">
+          <div class="api-metric-value">${formatPercent(forecast.projectedRatio)}</div>
+          <div class="api-metric-label">Projected at Period End</div>
+        </div>
+        <div class="api-metric">
+          <div class="api-metric-value">${forecast.willExhaust ? new Date(forecast.exhaustionAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : 'Not this period'}</div>
+          <div class="api-metric-label">Projected Exhaustion</div>
+        </div>
+      </div>
+      <div class="quota-recommendation">
+        ${forecast.willExhaust
+          ? `Cut calls by ${formatPercent(forecast.reduction)}: poll every ${forecast.recommendedInterval}s instead of ${forecast.pollingInterval}s to stay within quota.`
+          : `Polling every ${forecast.pollingInterval}s stays within quota.`}
+      </div>
+    </div>
+  `)}`;
+}
+
+function createApiQuotaChart(canvasId = 'apiQuotaChart', chartKey = 'apiQuota') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.apiQuota) {
-    charts.apiQuota.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.apiQuota = new Chart(ctx, {
-    type: 'doughnut',
+  const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F'];
+  const first = appData.apiQuotas[0];
+  const days = [];
+  if (first) {
+    for (let day = new Date(first.periodStart); day < new Date(first.periodEnd); day.setDate(day.getDate() + 1)) {
+      days.push(new Date(day));
+    }
+  }
+
+  // Actual cumulative usage up to today, then a dashed projection at the current burn rate
+  const datasets = appData.apiQuotas.flatMap((quota, index) => {
+    const forecast = forecastQuota(quota);
+    let cumulative = 0;
+    const actual = days.map((_, i) => {
+      if (i >= quota.dailyUsage.length) return null;
+      cumulative += quota.dailyUsage[i].calls;
+      return (cumulative / quota.limit) * 100;
+    });
+    const today = quota.dailyUsage.length - 1;
+    const projected = days.map((_, i) => i < today ? null : Math.min(150, (forecast.used + forecast.burnRate * (i - today)) / quota.limit * 100));
+
+    return [
+      {
+        label: quota.name,
+        data: actual,
+        borderColor: colors[index % colors.length],
+        backgroundColor: colors[index % colors.length],
+        fill: false,
+        tension: 0.2
+      },
+      {
+        label: `${quota.name} (projected)`,
+        data: projected,
+        borderColor: colors[index % colors.length],
+        borderDash: [6, 6],
+        pointRadius: 0,
+        fill: false
+      }
+    ];
+  });
+  datasets.push({
+    label: 'Quota limit',
+    data: days.map(() => 100),
+    borderColor: '#DB4545',
+    pointRadius: 0,
+    fill: false
+  });
+
+  charts[chartKey] = new Chart(ctx, {
+    type: 'line',
     data: {
-      labels: appData.apiStatus.map(api => api.name),
-      datasets: [{
-        data: appData.apiStatus.map(api => parseInt(api.quotaUsed)),
-        backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5']
-      }]
+      labels: days.map(day => day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+      datasets: datasets
     },
     options: {
       responsive: true,
@@ -496,7 +4224,25 @@ function createApiQuotaChart() {
           position: 'bottom',
           labels: {
             padding: 20,
-            usePointStyle: true
+            usePointStyle: true,
+            filter: item => !item.text.endsWith('(projected)')
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          title: {
+            display: true,
+            text: '% of quota'
+          },
+          grid: {
+            color: 'rgba(94, 82, 64, 0.1)'
+          }
+        },
+        x: {
+          grid: {
+            color: 'rgba(94, 82, 64, 0.1)'
           }
         }
       }
@@ -505,18 +4251,86 @@ function createApiQuotaChart() {
 }
 
 // Monitoring initialization
-function initializeMonitoring() {
+const timeRanges = {
+  '1h': { duration: 60 * 60 * 1000, bucketSize: 5 * 60 * 1000 },
+  '24h': { duration: 24 * 60 * 60 * 1000, bucketSize: 60 * 60 * 1000 },
+  '7d': { duration: 7 * 24 * 60 * 60 * 1000, bucketSize: 6 * 60 * 60 * 1000 }
+};
+
+let selectedLambda = null;
+
+async function initializeMonitoring(params = {}) {
+  setupTimeRange(params.range);
+  setupLambdaDetail();
+  selectedLambda = params.fn || null;
+  await loadData(['lambdaMetrics']);
+  await refreshMonitoring();
+}
+
+async function refreshMonitoring() {
+  const range = document.getElementById('time-range').value;
+  try {
+    appData.lambdaSeries = await dataProvider.getLambdaSeries(range);
+  } catch (error) {
+    console.error(`Failed to load ${range} Lambda series from ${dataProvider.name} provider:`, error);
+    appData.lambdaSeries = null;
+  }
+
   renderLambdaCards();
   createLambdaInvocationsChart();
+  createLambdaDurationChart();
   createErrorRatesChart();
+  createThrottlesChart();
+  renderLambdaDetail();
+}
+
+function setupTimeRange(selectedRange = '24h') {
+  const select = document.getElementById('time-range');
+  if (!select) return;
+
+  if (!select.dataset.bound) {
+    select.dataset.bound = 'true';
+    select.addEventListener('change', (e) => {
+      updateRouteParams({ range: e.target.value });
+      refreshMonitoring();
+    });
+  }
+
+  select.value = timeRanges[selectedRange] ? selectedRange : '24h';
+}
+
+function parseMetricNumber(value) {
+  return parseFloat(String(value).replace(/[^0-9.-]/g, '')) || 0;
+}
+
+// Totals for the selected window, falling back to the provider's headline numbers
+// when no series could be loaded
+function getLambdaWindowMetrics() {
+  const series = appData.lambdaSeries;
+  return appData.lambdaMetrics.map(lambda => {
+    const fn = series && series.functions.find(f => f.functionName === lambda.functionName);
+    if (!fn) return { ...lambda, throttles: '0' };
+
+    const invocations = fn.invocations.reduce((sum, count) => sum + count, 0);
+    const errors = fn.errors.reduce((sum, count) => sum + count, 0);
+    const weightedDuration = fn.duration.reduce((sum, ms, i) => sum + ms * fn.invocations[i], 0);
+    return {
+      ...lambda,
+      invocations: invocations.toLocaleString(),
+      duration: `${invocations ? Math.round(weightedDuration / invocations) : 0}ms`,
+      errors: errors.toLocaleString(),
+      throttles: fn.throttles.reduce((sum, count) => sum + count, 0).toLocaleString(),
+      successRate: `${invocations ? (100 - (errors / invocations) * 100).toFixed(3) : '100.000'}%`
+    };
+  });
 }
 
 function renderLambdaCards() {
   const container = document.getElementById('lambda-metrics');
   if (!container) return;
 
-  container.innerHTML = appData.lambdaMetrics.map(lambda => `
-    <div class="lambda-card">
+  container.innerHTML = html`${getLambdaWindowMetrics().map(lambda => html`
+    <div class="lambda-card${lambda.functionName === selectedLambda ? ' selected' : ''}" data-function="${lambda.functionName}">
       <div class="lambda-name">${lambda.functionName}</div>
       <div class="lambda-metrics">
         <div class="metric">
@@ -531,6 +4345,10 @@ function renderLambdaCards() {
           <span class="metric-label">Errors:</span>
           <span class="metric-value">${lambda.errors}</span>
         </div>
+        <div class="metric">
+          <span class="metric-label">Throttles:</span>
+          <span class="metric-value">${lambda.throttles}</span>
+        </div>
         <div class="metric">
           <span class="metric-label">Success Rate:</span>
           <span class="metric-value">${lambda.successRate}</span>
@@ -541,43 +4359,67 @@ function renderLambdaCards() {
         </div>
       </div>
     </div>
-  `).join('');
+  `)}`;
+}
+
+function formatBucketLabel(timestamp, range) {
+  const time = new Date(timestamp);
+  if (range === '7d') {
+    return time.toLocaleString('en-US', { weekday: 'short', hour: '2-digit' });
+  }
+  return time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 }
 
-function createLambdaInvocationsChart() {
-  const ctx = document.getElementById('lambdaInvocationsChart');
+function createLambdaSeriesChart({ chartKey, canvasId, type, value, yTitle, stacked = false }) {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.lambdaInvocations) {
-    charts.lambdaInvocations.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.lambdaInvocations = new Chart(ctx, {
-    type: 'bar',
+  const series = appData.lambdaSeries || { range: '24h', buckets: [], functions: [] };
+  const colors = ['#1FB8CD', '#FFC185', '#B4413C'];
+
+  charts[chartKey] = new Chart(ctx, {
+    type: type,
     data: {
-      labels: appData.lambdaMetrics.map(lambda => lambda.functionName),
-      datasets: [{
-        label: 'Invocations',
-        data: appData.lambdaMetrics.map(lambda => parseInt(lambda.invocations.replace(/,/g, ''))),
-        backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C']
-      }]
+      labels: series.buckets.map(bucket => formatBucketLabel(bucket, series.range)),
+      datasets: series.functions.map((fn, index) => ({
+        label: fn.functionName,
+        data: fn.invocations.map((_, i) => value(fn, i)),
+        borderColor: colors[index % colors.length],
+        backgroundColor: type === 'bar' ? colors[index % colors.length] : colors[index % colors.length] + '20',
+        fill: false,
+        tension: 0.4
+      }))
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
         legend: {
-          display: false
+          position: 'bottom',
+          labels: {
+            padding: 20,
+            usePointStyle: true
+          }
         }
       },
       scales: {
         y: {
           beginAtZero: true,
+          stacked: stacked,
+          title: {
+            display: true,
+            text: yTitle
+          },
           grid: {
             color: 'rgba(94, 82, 64, 0.1)'
           }
         },
         x: {
+          stacked: stacked,
           grid: {
             color: 'rgba(94, 82, 64, 0.1)'
           }
@@ -587,42 +4429,196 @@ function createLambdaInvocationsChart() {
   });
 }
 
-function createErrorRatesChart() {
-  const ctx = document.getElementById('errorRatesChart');
+function createLambdaInvocationsChart(canvasId = 'lambdaInvocationsChart', chartKey = 'lambdaInvocations') {
+  createLambdaSeriesChart({
+    chartKey,
+    canvasId,
+    type: 'bar',
+    value: (fn, i) => fn.invocations[i],
+    yTitle: 'Invocations',
+    stacked: true
+  });
+}
+
+function createLambdaDurationChart(canvasId = 'lambdaDurationChart', chartKey = 'lambdaDuration') {
+  createLambdaSeriesChart({
+    chartKey,
+    canvasId,
+    type: 'line',
+    value: (fn, i) => fn.duration[i],
+    yTitle: 'Avg duration (ms)'
+  });
+}
+
+function createErrorRatesChart(canvasId = 'errorRatesChart', chartKey = 'errorRates') {
+  createLambdaSeriesChart({
+    chartKey,
+    canvasId,
+    type: 'line',
+    value: (fn, i) => fn.invocations[i] ? (fn.errors[i] / fn.invocations[i]) * 100 : 0,
+    yTitle: 'Error rate (%)'
+  });
+}
+
+function createThrottlesChart(canvasId = 'throttlesChart', chartKey = 'throttles') {
+  createLambdaSeriesChart({
+    chartKey,
+    canvasId,
+    type: 'bar',
+    value: (fn, i) => fn.throttles[i],
+    yTitle: 'Throttles',
+    stacked: true
+  });
+}
+
+// Lambda function detail
+function setupLambdaDetail() {
+  const container = document.getElementById('lambda-metrics');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  container.addEventListener('click', (e) => {
+    const card = e.target.closest('.lambda-card');
+    if (card) {
+      selectLambda(card.dataset.function);
+    }
+  });
+  document.getElementById('lambda-detail-close').addEventListener('click', () => selectLambda(null));
+}
+
+function selectLambda(functionName) {
+  selectedLambda = functionName;
+  updateRouteParams({ fn: functionName });
+  renderLambdaCards();
+  renderLambdaDetail();
+}
+
+function sumSeries(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+function weightedAverage(values, weights) {
+  const totalWeight = sumSeries(weights);
+  return totalWeight ? values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight : 0;
+}
+
+// Percentiles can't be merged exactly across buckets, so the window figure is the
+// invocation-weighted mean of the per-bucket percentiles
+function summarizeLambdaFunction(lambda, fn) {
+  const limit = lambda.concurrencyLimit || 1000;
+  const allocated = parseMetricNumber(lambda.memory);
+  const peakConcurrency = Math.max(0, ...fn.concurrentExecutions);
+  const peakMemory = Math.max(0, ...fn.memoryUsed);
+
+  return {
+    p50: Math.round(weightedAverage(fn.durationP50, fn.invocations)),
+    p90: Math.round(weightedAverage(fn.durationP90, fn.invocations)),
+    p99: Math.round(weightedAverage(fn.durationP99, fn.invocations)),
+    coldStarts: sumSeries(fn.coldStarts),
+    initDuration: Math.round(weightedAverage(fn.initDuration, fn.coldStarts)),
+    peakConcurrency,
+    concurrencyLimit: limit,
+    peakMemory,
+    allocatedMemory: allocated
+  };
+}
+
+function renderLambdaDetail() {
+  const panel = document.getElementById('lambda-detail');
+  if (!panel) return;
+
+  const lambda = appData.lambdaMetrics.find(l => l.functionName === selectedLambda);
+  const fn = lambda && appData.lambdaSeries && appData.lambdaSeries.functions.find(f => f.functionName === selectedLambda);
+  panel.classList.toggle('hidden', !fn);
+  if (!fn) {
+    ['lambdaPercentiles', 'lambdaColdStarts', 'lambdaConcurrency', 'lambdaMemory'].forEach(key => {
+      if (charts[key]) {
+        charts[key].destroy();
+        delete charts[key];
+      }
+    });
+    return;
+  }
+
+  const summary = summarizeLambdaFunction(lambda, fn);
+  document.getElementById('lambda-detail-title').textContent = `${lambda.functionName} detail`;
+  document.getElementById('lambda-detail-summary').innerHTML = html`
+    <div class="api-metric">
+      <div class="api-metric-value">${summary.p50} / ${summary.p90} / ${summary.p99}ms</div>
+      <div class="api-metric-label">Duration p50 / p90 / p99</div>
+    </div>
+    <div class="api-metric">
+      <div class="api-metric-value">${summary.coldStarts.toLocaleString()}</div>
+      <div class="api-metric-label">Cold Starts</div>
+    </div>
+    <div class="api-metric">
+      <div class="api-metric-value">${summary.initDuration}ms</div>
+      <div class="api-metric-label">Avg Init Duration</div>
+    </div>
+    <div class="api-metric">
+      <div class="api-metric-value">${summary.peakConcurrency.toLocaleString()} / ${summary.concurrencyLimit.toLocaleString()}</div>
+      <div class="api-metric-label">Peak Concurrency / Limit</div>
+    </div>
+    <div class="api-metric">
+      <div class="api-metric-value">${summary.peakMemory} / ${summary.allocatedMemory}MB</div>
+      <div class="api-metric-label">Peak Memory / Allocated</div>
+    </div>
+  `;
+
+  const labels = appData.lambdaSeries.buckets.map(bucket => formatBucketLabel(bucket, appData.lambdaSeries.range));
+  const limitLine = (label, value) => ({
+    label: label,
+    data: labels.map(() => value),
+    borderColor: '#DB4545',
+    borderDash: [6, 6],
+    pointRadius: 0,
+    fill: false
+  });
+
+  createLambdaDetailChart('lambdaPercentiles', 'lambdaPercentilesChart', labels, [
+    { label: 'p50', data: fn.durationP50, borderColor: '#1FB8CD' },
+    { label: 'p90', data: fn.durationP90, borderColor: '#FFC185' },
+    { label: 'p99', data: fn.durationP99, borderColor: '#B4413C' }
+  ], 'Duration (ms)');
+  createLambdaDetailChart('lambdaColdStarts', 'lambdaColdStartsChart', labels, [
+    { type: 'bar', label: 'Cold starts', data: fn.coldStarts, backgroundColor: '#5D878F', yAxisID: 'y' },
+    { label: 'Init duration (ms)', data: fn.initDuration, borderColor: '#FFC185', yAxisID: 'init' }
+  ], 'Cold starts', {
+    init: {
+      position: 'right',
+      beginAtZero: true,
+      title: {
+        display: true,
+        text: 'Init duration (ms)'
+      },
+      grid: {
+        drawOnChartArea: false
+      }
+    }
+  });
+  createLambdaDetailChart('lambdaConcurrency', 'lambdaConcurrencyChart', labels, [
+    { label: 'Concurrent executions', data: fn.concurrentExecutions, borderColor: '#1FB8CD' },
+    limitLine('Concurrency limit', summary.concurrencyLimit)
+  ], 'Executions');
+  createLambdaDetailChart('lambdaMemory', 'lambdaMemoryChart', labels, [
+    { label: 'Max memory used (MB)', data: fn.memoryUsed, borderColor: '#1FB8CD' },
+    limitLine('Allocated (MB)', summary.allocatedMemory)
+  ], 'Memory (MB)');
+}
+
+function createLambdaDetailChart(chartKey, canvasId, labels, datasets, yTitle, extraScales = {}) {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.errorRates) {
-    charts.errorRates.destroy();
-  }
-
-  // Generate sample error rate data over time
-  const labels = [];
-  const datasets = [];
-  const colors = ['#1FB8CD', '#FFC185', '#B4413C'];
-  
-  // Generate time labels for last 12 hours
-  for (let i = 11; i >= 0; i--) {
-    const time = new Date(Date.now() - i * 60 * 60 * 1000);
-    labels.push(time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }));
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  appData.lambdaMetrics.forEach((lambda, index) => {
-    const data = Array.from({ length: 12 }, () => Math.random() * 0.1);
-    datasets.push({
-      label: lambda.functionName,
-      data: data,
-      borderColor: colors[index],
-      backgroundColor: colors[index] + '20',
-      fill: false,
-      tension: 0.4
-    });
-  });
-
-  charts.errorRates = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'line',
     data: {
       labels: labels,
-      datasets: datasets
+      datasets: datasets.map(dataset => ({ fill: false, tension: 0.4, ...dataset }))
     },
     options: {
       responsive: true,
@@ -639,7 +4635,10 @@ function createErrorRatesChart() {
       scales: {
         y: {
           beginAtZero: true,
-          max: 0.2,
+          title: {
+            display: true,
+            text: yTitle
+          },
           grid: {
             color: 'rgba(94, 82, 64, 0.1)'
           }
@@ -648,28 +4647,40 @@ function createErrorRatesChart() {
           grid: {
             color: 'rgba(94, 82, 64, 0.1)'
           }
-        }
+        },
+        ...extraScales
       }
     }
   });
 }
 
 // Cost Analysis initialization
-function initializeCostAnalysis() {
+async function initializeCostAnalysis() {
+  await loadData(['costBreakdown', 'costHistory', 'systemMetrics', 'apiQuotas']);
   createCostBreakdownChart();
+  refreshCostForecast();
+  setupCostBudgets();
+  renderUnitEconomics();
+  renderWhatIf();
+  setupWhatIf();
+}
+
+// Budget edits only change the forecast views, so they re-render without reloading
+function refreshCostForecast() {
+  renderCostSummary();
   createCostTrendChart();
   renderCostTable();
 }
 
-function createCostBreakdownChart() {
-  const ctx = document.getElementById('costBreakdownChart');
+function createCostBreakdownChart(canvasId = 'costBreakdownChart', chartKey = 'costBreakdown') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.costBreakdown) {
-    charts.costBreakdown.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  charts.costBreakdown = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'pie',
     data: {
       labels: appData.costBreakdown.map(item => item.service),
@@ -694,37 +4705,67 @@ function createCostBreakdownChart() {
   });
 }
 
-function createCostTrendChart() {
-  const ctx = document.getElementById('costTrendChart');
+function createCostTrendChart(canvasId = 'costTrendChart', chartKey = 'costTrend') {
+  const ctx = document.getElementById(canvasId);
   if (!ctx) return;
 
-  if (charts.costTrend) {
-    charts.costTrend.destroy();
+  if (charts[chartKey]) {
+    charts[chartKey].destroy();
   }
 
-  // Generate sample monthly cost data
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-  const costs = [1654, 1723, 1598, 1834, 1902, 1847];
+  const monthly = appData.costHistory.monthly || [];
+  const forecast = forecastCosts();
+  const sumCosts = costs => Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+  const labels = [
+    ...monthly.map(month => new Date(month.month).toLocaleDateString('en-US', { month: 'short' })),
+    new Date().toLocaleDateString('en-US', { month: 'short' })
+  ];
+  const actual = [...monthly.map(month => sumCosts(month.costs)), forecast.total.monthToDate];
+  // The projection starts from last month's total so the dashed line joins the actual one
+  const projected = labels.map((_, i) => {
+    if (i === labels.length - 1) return forecast.total.projected;
+    if (i === labels.length - 2) return actual[i];
+    return null;
+  });
 
-  charts.costTrend = new Chart(ctx, {
+  charts[chartKey] = new Chart(ctx, {
     type: 'line',
     data: {
-      labels: months,
-      datasets: [{
-        label: 'Monthly Cost ($)',
-        data: costs,
-        borderColor: '#1FB8CD',
-        backgroundColor: 'rgba(31, 184, 205, 0.1)',
-        fill: true,
-        tension: 0.4
-      }]
+      labels: labels,
+      datasets: [
+        {
+          label: 'Actual ($)',
+          data: actual,
+          borderColor: '#1FB8CD',
+          backgroundColor: 'rgba(31, 184, 205, 0.1)',
+          fill: true,
+          tension: 0.4
+        },
+        {
+          label: 'Projected ($)',
+          data: projected,
+          borderColor: '#FFC185',
+          borderDash: [6, 6],
+          fill: false
+        },
+        {
+          label: 'Budget ($)',
+          data: labels.map(() => forecast.total.budget),
+          borderColor: '#DB4545',
+          pointRadius: 0,
+          fill: false
+        }
+      ]
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
         legend: {
-          display: false
+          position: 'bottom',
+          labels: {
+            usePointStyle: true
+          }
         }
       },
       scales: {
@@ -744,23 +4785,836 @@ function createCostTrendChart() {
   });
 }
 
+function renderCostSummary() {
+  const { total } = forecastCosts();
+  const setValue = (id, value, over = false) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.textContent = formatCurrency(value);
+      element.classList.toggle('over-budget', over);
+    }
+  };
+  setValue('cost-current', total.monthToDate);
+  setValue('cost-budget', total.budget);
+  setValue('cost-projected', total.projected, total.projected > total.budget);
+}
+
 function renderCostTable() {
   const tbody = document.getElementById('cost-table-body');
   if (!tbody) return;
 
-  tbody.innerHTML = appData.costBreakdown.map(item => {
-    const trend = Math.random() > 0.5 ? 'up' : Math.random() > 0.5 ? 'down' : 'stable';
-    const trendSymbol = trend === 'up' ? '↑' : trend === 'down' ? '↓' : '→';
-    
-    return `
-      <tr>
+  const { services } = forecastCosts();
+  const trendSymbols = { up: '↑', down: '↓', stable: '→' };
+  tbody.innerHTML = html`${appData.costBreakdown.map(item => {
+    const forecast = services[item.service] || {};
+    const trend = forecast.trend || { direction: 'stable', change: null };
+    const anomaly = forecast.anomaly;
+
+    return html`
+      <tr class="${forecast.projected > forecast.budget ? 'over-budget' : ''}">
         <td>${item.service}</td>
         <td>$${item.cost}</td>
         <td>${item.percentage}%</td>
-        <td class="trend-${trend}">${trendSymbol}</td>
+        <td>
+          <input type="number" class="form-control budget-input" min="0" step="10" value="${forecast.budget || 0}" data-service="${item.service}" aria-label="${item.service} monthly budget">
+        </td>
+        <td>${forecast.projected === undefined ? '—' : formatCurrency(forecast.projected)}</td>
+        <td class="trend-${trend.direction}" title="vs last month">${trendSymbols[trend.direction]} ${trend.change === null ? '' : formatSigned(Math.round(trend.change * 100)) + '%'}</td>
+        <td>${anomaly ? html`<span class="cost-anomaly" title="Baseline ${formatCurrency(anomaly.baseline)}/day">⚠ ${formatCurrency(anomaly.cost)} on ${new Date(anomaly.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>` : ''}</td>
       </tr>
     `;
-  }).join('');
+  })}`;
+}
+
+// Cost forecasting
+// Monthly budgets per service, edited in the cost table and kept in localStorage.costBudgets
+const defaultCostBudgets = {
+  'Lambda': 150,
+  'DynamoDB': 300,
+  'API Gateway': 75,
+  'Data Transfer': 75,
+  'External APIs': 1800,
+  'Monitoring': 100
+};
+// Month-over-month changes smaller than this show as stable
+const costTrendTolerance = 0.03;
+// A day is anomalous when it sits this many standard deviations from the prior fortnight
+const costAnomalyDeviations = 3;
+
+function getCostBudgets() {
+  try {
+    return { ...defaultCostBudgets, ...JSON.parse(localStorage.getItem('costBudgets')) };
+  } catch (error) {
+    return { ...defaultCostBudgets };
+  }
+}
+
+function setCostBudget(service, budget) {
+  localStorage.setItem('costBudgets', JSON.stringify({ ...getCostBudgets(), [service]: budget }));
+}
+
+function setupCostBudgets() {
+  const tbody = document.getElementById('cost-table-body');
+  if (!tbody || tbody.dataset.bound) return;
+
+  tbody.dataset.bound = 'true';
+  tbody.addEventListener('change', (e) => {
+    if (!e.target.matches('.budget-input')) return;
+    const budget = Number(e.target.value);
+    if (!Number.isFinite(budget) || budget < 0) return;
+    setCostBudget(e.target.dataset.service, budget);
+    refreshCostForecast();
+  });
+}
+
+function formatCurrency(value) {
+  return `$${Math.round(value).toLocaleString()}`;
+}
+
+function getMonthToDateCosts(history, now = new Date()) {
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  const totals = {};
+  history.daily.forEach(day => {
+    if (new Date(day.date).getTime() < monthStart) return;
+    Object.entries(day.costs).forEach(([service, cost]) => {
+      totals[service] = (totals[service] || 0) + cost;
+    });
+  });
+  return totals;
+}
+
+// Month-end projection adds the last seven days' average spend for every day left in
+// the month to the month-to-date total
+function forecastCosts(now = new Date()) {
+  const history = appData.costHistory;
+  const daily = history.daily || [];
+  const budgets = getCostBudgets();
+  const monthToDate = getMonthToDateCosts({ daily }, now);
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+  const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const daysCounted = daily.filter(day => new Date(day.date).getTime() >= monthStart).length;
+  const recent = daily.slice(-7);
+  const lastMonth = (history.monthly || [])[(history.monthly || []).length - 1];
+  const services = {};
+  const serviceNames = new Set([...Object.keys(budgets), ...appData.costBreakdown.map(item => item.service)]);
+
+  serviceNames.forEach(service => {
+    const runRate = recent.length
+      ? recent.reduce((sum, day) => sum + (day.costs[service] || 0), 0) / recent.length
+      : 0;
+    const projected = (monthToDate[service] || 0) + runRate * (daysInMonth - daysCounted);
+    const previous = lastMonth ? lastMonth.costs[service] : undefined;
+    services[service] = {
+      monthToDate: monthToDate[service] || 0,
+      projected,
+      budget: budgets[service] || 0,
+      trend: getCostTrend(projected, previous),
+      anomaly: findCostAnomaly(daily.map(day => ({ date: day.date, cost: day.costs[service] || 0 })))
+    };
+  });
+
+  const sum = field => Object.values(services).reduce((total, service) => total + service[field], 0);
+  return {
+    services,
+    total: { monthToDate: sum('monthToDate'), projected: sum('projected'), budget: sum('budget') }
+  };
+}
+
+function getCostTrend(projected, previous) {
+  if (!previous) return { direction: 'stable', change: null };
+  const change = (projected - previous) / previous;
+  const direction = change > costTrendTolerance ? 'up' : change < -costTrendTolerance ? 'down' : 'stable';
+  return { direction, change };
+}
+
+// Checks the last week against the fortnight before each day and returns the most recent outlier
+function findCostAnomaly(days) {
+  for (let i = days.length - 1; i >= Math.max(14, days.length - 7); i--) {
+    const baseline = days.slice(i - 14, i).map(day => day.cost);
+    const mean = baseline.reduce((sum, cost) => sum + cost, 0) / baseline.length;
+    const deviation = Math.sqrt(baseline.reduce((sum, cost) => sum + (cost - mean) ** 2, 0) / baseline.length);
+    // Very steady services would otherwise flag cent-level changes
+    const tolerance = Math.max(deviation, mean * 0.05) * costAnomalyDeviations;
+    if (Math.abs(days[i].cost - mean) > tolerance) {
+      return { date: days[i].date, cost: days[i].cost, baseline: mean };
+    }
+  }
+  return null;
+}
+
+// Unit economics
+// Each provider's plan covers its quota for a flat fee, with calls beyond it billed per 1k
+function estimateProviderCost(quota, monthlyCalls) {
+  return (quota.monthlyFee || 0) + Math.max(0, monthlyCalls - quota.limit) / 1000 * (quota.overagePer1k || 0);
+}
+
+function getPeriodDays(quota) {
+  return (new Date(quota.periodEnd) - new Date(quota.periodStart)) / dayMs;
+}
+
+function calculateUnitEconomics() {
+  const { total } = forecastCosts();
+  const events = parseMetricNumber(appData.systemMetrics.eventsProcessed);
+  const streams = parseMetricNumber(appData.systemMetrics.activeStreams);
+  const externalApis = appData.costBreakdown.find(item => item.service === 'External APIs');
+  const forecasts = appData.apiQuotas.map(quota => forecastQuota(quota));
+  // What each plan bills for this period's projected calls, overage included
+  const billed = appData.apiQuotas.map((quota, i) => {
+    const forecast = forecasts[i];
+    return estimateProviderCost(quota, forecast.projectedRatio * forecast.limit);
+  });
+  const totalBilled = billed.reduce((sum, cost) => sum + cost, 0);
+
+  return {
+    // eventsProcessed counts the current month, so it pairs with month-to-date spend
+    costPer1kEvents: events ? total.monthToDate / (events / 1000) : null,
+    costPerStream: streams ? total.projected / streams : null,
+    externalShare: externalApis ? externalApis.percentage / 100 : null,
+    // Billing isn't itemised per provider, so External API spend is split by what each plan
+    // bills for its call volume; the results are estimates
+    providers: appData.apiQuotas.map((quota, i) => {
+      const forecast = forecasts[i];
+      const cost = externalApis && totalBilled ? externalApis.cost * billed[i] / totalBilled : 0;
+      return {
+        name: quota.name,
+        calls: forecast.used,
+        cost,
+        costPerCall: forecast.used ? cost / forecast.used : null
+      };
+    })
+  };
+}
+
+function formatUnitCost(value, digits = 2) {
+  return value === null ? 'N/A' : `$${value.toFixed(digits)}`;
+}
+
+function renderUnitEconomics() {
+  const container = document.getElementById('unit-economics');
+  if (!container) return;
+
+  const economics = calculateUnitEconomics();
+  container.innerHTML = html`
+    <div class="unit-metrics">
+      <div class="unit-metric">
+        <div class="unit-metric-value">${formatUnitCost(economics.costPer1kEvents, 3)}</div>
+        <div class="unit-metric-label">Cost per 1k Events</div>
+      </div>
+      <div class="unit-metric">
+        <div class="unit-metric-value">${formatUnitCost(economics.costPerStream, 3)}</div>
+        <div class="unit-metric-label">Cost per Active Stream / Month</div>
+      </div>
+      <div class="unit-metric">
+        <div class="unit-metric-value">${economics.externalShare === null ? 'N/A' : formatPercent(economics.externalShare)}</div>
+        <div class="unit-metric-label">External API Share of Spend</div>
+      </div>
+    </div>
+    <table>
+      <thead>
+        <tr><th>Provider</th><th>Calls This Period</th><th title="External API spend split by each plan's billed cost for its calls">Est. Cost to Date</th><th>Est. Cost per 1k Calls</th></tr>
+      </thead>
+      <tbody>
+        ${economics.providers.map(provider => html`
+          <tr>
+            <td>${provider.name}</td>
+            <td>${provider.calls.toLocaleString()}</td>
+            <td>${formatCurrency(provider.cost)}</td>
+            <td>${formatUnitCost(provider.costPerCall === null ? null : provider.costPerCall * 1000, 3)}</td>
+          </tr>
+        `)}
+      </tbody>
+    </table>
+  `;
+}
+
+// What-if scenarios rescale each provider's current burn rate: calls scale inversely with
+// the polling interval and directly with the share of games it covers
+const whatIfScenario = {};
+
+function getWhatIfScenario(quota) {
+  return whatIfScenario[quota.name] || { pollingInterval: quota.pollingInterval, coverage: 100 };
+}
+
+function calculateWhatIf() {
+  const providers = appData.apiQuotas.map(quota => {
+    const scenario = getWhatIfScenario(quota);
+    const currentCalls = forecastQuota(quota).burnRate * getPeriodDays(quota);
+    const scenarioCalls = currentCalls * (quota.pollingInterval / scenario.pollingInterval) * (scenario.coverage / 100);
+    return {
+      name: quota.name,
+      scenario,
+      currentCalls,
+      scenarioCalls,
+      currentCost: estimateProviderCost(quota, currentCalls),
+      scenarioCost: estimateProviderCost(quota, scenarioCalls)
+    };
+  });
+
+  // Everything other than External APIs is carried over from the month-end projection
+  const { services, total } = forecastCosts();
+  const externalProjected = services['External APIs'] ? services['External APIs'].projected : 0;
+  const otherCosts = total.projected - externalProjected;
+  const sum = field => providers.reduce((total, provider) => total + provider[field], 0);
+  return {
+    providers,
+    current: otherCosts + sum('currentCost'),
+    scenario: otherCosts + sum('scenarioCost')
+  };
+}
+
+function renderWhatIf() {
+  const container = document.getElementById('what-if');
+  if (!container) return;
+
+  const whatIf = calculateWhatIf();
+  const delta = whatIf.scenario - whatIf.current;
+  container.innerHTML = html`
+    <table>
+      <thead>
+        <tr><th>Provider</th><th>Polling (s)</th><th>Coverage (%)</th><th>Calls / Month</th><th>Monthly Cost</th></tr>
+      </thead>
+      <tbody>
+        ${whatIf.providers.map(provider => html`
+          <tr>
+            <td>${provider.name}</td>
+            <td><input type="number" class="form-control what-if-input" min="1" step="1" value="${provider.scenario.pollingInterval}" data-provider="${provider.name}" data-field="pollingInterval" aria-label="${provider.name} polling interval"></td>
+            <td><input type="number" class="form-control what-if-input" min="0" step="5" value="${provider.scenario.coverage}" data-provider="${provider.name}" data-field="coverage" aria-label="${provider.name} coverage"></td>
+            <td>${Math.round(provider.scenarioCalls).toLocaleString()}</td>
+            <td>${formatCurrency(provider.scenarioCost)}</td>
+          </tr>
+        `)}
+      </tbody>
+    </table>
+    <div class="what-if-result">
+      <span>Projected monthly cost: <strong>${formatCurrency(whatIf.scenario)}</strong></span>
+      <span class="trend-${delta > 0.5 ? 'up' : delta < -0.5 ? 'down' : 'stable'}">${delta >= 0 ? '+' : '-'}${formatCurrency(Math.abs(delta))} vs current settings</span>
+    </div>
+  `;
+}
+
+function setupWhatIf() {
+  const container = document.getElementById('what-if');
+  const resetButton = document.getElementById('reset-what-if');
+  if (!container || container.dataset.bound) return;
+
+  container.dataset.bound = 'true';
+  container.addEventListener('change', (e) => {
+    if (!e.target.matches('.what-if-input')) return;
+    const quota = appData.apiQuotas.find(q => q.name === e.target.dataset.provider);
+    const value = Number(e.target.value);
+    const minimum = e.target.dataset.field === 'pollingInterval' ? 1 : 0;
+    if (!quota || !Number.isFinite(value) || value < minimum) return;
+    whatIfScenario[quota.name] = { ...getWhatIfScenario(quota), [e.target.dataset.field]: value };
+    renderWhatIf();
+  });
+
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      Object.keys(whatIfScenario).forEach(name => delete whatIfScenario[name]);
+      renderWhatIf();
+    });
+  }
+}
+
+// Export
+// Table and card exports read the data behind the view, narrowed by the filters the view
+// is currently showing; every chart exports its datasets and a PNG
+const exportSources = {
+  'live-events': {
+    name: 'live-events',
+    rows: () => getLiveFeedEvents()
+  },
+  'betting-odds': {
+    name: 'betting-odds',
+    rows: () => getLiveFeedOdds()
+  },
+  'api-cards': {
+    name: 'api-status',
+    rows: () => appData.apiStatus
+  },
+  'lambda-cards': {
+    name: 'lambda-functions',
+    rows: () => getLambdaWindowMetrics()
+  },
+  'cost-table': {
+    name: 'service-costs',
+    rows: () => {
+      const { services } = forecastCosts();
+      return appData.costBreakdown.map(item => {
+        const forecast = services[item.service] || {};
+        return {
+          ...item,
+          budget: forecast.budget,
+          projected: forecast.projected === undefined ? null : Math.round(forecast.projected * 100) / 100,
+          trend: forecast.trend ? forecast.trend.direction : null,
+          anomalyDate: forecast.anomaly ? forecast.anomaly.date : null
+        };
+      });
+    }
+  }
+};
+
+// Only the sport and game-state filters go into file names; anything else narrowing the
+// live feed is marked as filtered
+function getExportFilters() {
+  const filters = {};
+  const range = document.getElementById('time-range');
+  if (isPageActive('live-feed')) {
+    const { sport, state, q, source, margin, situation, watched } = buildFeedFilterParams(feedFilters);
+    if (sport) {
+      filters.sport = sport.replace(/,/g, '-');
+    }
+    if (state) {
+      filters.state = state.replace(/,/g, '-');
+    }
+    if (q || source || margin !== null || situation || watched) {
+      filters.filtered = 'filtered';
+    }
+  }
+  if (isPageActive('monitoring') && range) {
+    filters.range = range.value;
+  }
+  return filters;
+}
+
+function isPageActive(pageId) {
+  const page = document.getElementById(pageId);
+  return Boolean(page && page.classList.contains('active'));
+}
+
+// Nested fields become dotted columns, e.g. score.home
+function flattenRow(row, prefix = '', flat = {}) {
+  Object.entries(row).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRow(value, column, flat);
+    } else {
+      flat[column] = Array.isArray(value) ? value.join('; ') : value;
+    }
+  });
+  return flat;
+}
+
+function toCsv(rows) {
+  const flatRows = rows.map(row => flattenRow(row));
+  const columns = Array.from(new Set(flatRows.flatMap(row => Object.keys(row))));
+  const escapeCell = value => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Provider strings starting with a formula character would run as formulas in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...flatRows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\n');
+}
+
+// Category charts export one row per label; charts plotted on x/y points export one row per point
+function getChartRows(chart) {
+  const { labels = [], datasets = [] } = chart.data;
+  const pointData = datasets.some(dataset => dataset.data.some(point => point && typeof point === 'object'));
+  if (pointData) {
+    return datasets.flatMap(dataset => dataset.data.map(point => ({ dataset: dataset.label, x: point.x, y: point.y })));
+  }
+  if (datasets.length === 1 && !datasets[0].label) {
+    return labels.map((label, i) => ({ label, value: datasets[0].data[i] }));
+  }
+  return labels.map((label, i) => {
+    const row = { label };
+    datasets.forEach(dataset => {
+      row[dataset.label] = dataset.data[i];
+    });
+    return row;
+  });
+}
+
+function buildExportFilename(name, filters, extension) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  return [name, ...Object.values(filters), stamp].join('_') + `.${extension}`;
+}
+
+function downloadFile(filename, content, type) {
+  const url = typeof content === 'string' && content.startsWith('data:')
+    ? content
+    : URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  if (url.startsWith('blob:')) {
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+function exportRows(name, rows, format) {
+  const filters = getExportFilters();
+  if (format === 'csv') {
+    downloadFile(buildExportFilename(name, filters, 'csv'), toCsv(rows), 'text/csv');
+  } else {
+    const body = { exportedAt: new Date().toISOString(), filters, rows };
+    downloadFile(buildExportFilename(name, filters, 'json'), JSON.stringify(body, null, 2), 'application/json');
+  }
+}
+
+function exportChart(canvasId, format) {
+  const canvas = document.getElementById(canvasId);
+  const chart = Object.values(charts).find(instance => instance && instance.canvas === canvas);
+  if (!chart) return;
+
+  if (format === 'png') {
+    downloadFile(buildExportFilename(canvasId, getExportFilters(), 'png'), chart.toBase64Image(), 'image/png');
+  } else {
+    exportRows(canvasId, getChartRows(chart), format);
+  }
+}
+
+function renderExportButtons(formats) {
+  return html`${formats.map(format => html`
+    <button class="btn btn--sm btn--outline" data-export-format="${format}">${format.toUpperCase()}</button>
+  `)}`;
+}
+
+function renderChartExportControls(canvasId) {
+  return html`
+    <div class="export-controls chart-export" data-export-chart="${canvasId}">${renderExportButtons(['csv', 'json', 'png'])}</div>
+  `;
+}
+
+function setupExports() {
+  document.querySelectorAll('.export-controls[data-export]').forEach(controls => {
+    controls.innerHTML = renderExportButtons(['csv', 'json']);
+  });
+  document.querySelectorAll('.chart-container canvas, .modal-chart canvas').forEach(canvas => {
+    canvas.parentElement.insertAdjacentHTML('afterbegin', renderChartExportControls(canvas.id));
+  });
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-export-format]');
+    if (!button) return;
+
+    const controls = button.closest('.export-controls');
+    const format = button.dataset.exportFormat;
+    if (controls.dataset.exportChart) {
+      exportChart(controls.dataset.exportChart, format);
+    } else if (exportSources[controls.dataset.export]) {
+      const source = exportSources[controls.dataset.export];
+      exportRows(source.name, source.rows(), format);
+    }
+  });
+}
+
+// Alerting
+const alertSources = {
+  systemMetrics: { label: 'System', fields: ['latency', 'errorRate', 'uptime', 'accuracy', 'throughput'] },
+  apiStatus: { label: 'API', fields: ['responseTime', 'quotaUsed', 'errorRate'] },
+  lambdaMetrics: { label: 'Lambda', fields: ['duration', 'errors', 'successRate', 'invocations'] }
+};
+
+const alertOperators = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// Seeded from the alert conditions in the README
+const defaultAlertRules = [
+  { id: 'api-quota', source: 'apiStatus', field: 'quotaUsed', operator: '>', threshold: 85, target: '', enabled: true },
+  { id: 'api-latency', source: 'apiStatus', field: 'responseTime', operator: '>', threshold: 1000, target: '', enabled: true },
+  { id: 'lambda-success', source: 'lambdaMetrics', field: 'successRate', operator: '<', threshold: 99.99, target: '', enabled: true },
+  { id: 'system-errors', source: 'systemMetrics', field: 'errorRate', operator: '>', threshold: 1, target: '', enabled: true },
+  { id: 'system-latency', source: 'systemMetrics', field: 'latency', operator: '>', threshold: 100, target: '', enabled: true }
+];
+
+const alertHistoryLimit = 100;
+const alertState = loadAlertState();
+
+function loadAlertState() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('alerts')) || {};
+    return {
+      rules: stored.rules || defaultAlertRules.map(rule => ({ ...rule })),
+      history: stored.history || [],
+      browserNotifications: Boolean(stored.browserNotifications)
+    };
+  } catch (error) {
+    return { rules: defaultAlertRules.map(rule => ({ ...rule })), history: [], browserNotifications: false };
+  }
+}
+
+function saveAlertState() {
+  localStorage.setItem('alerts', JSON.stringify(alertState));
+}
+
+function getAlertEntities(source) {
+  switch(source) {
+    case 'systemMetrics':
+      return appData.systemMetrics.uptime ? [{ name: 'System', metrics: appData.systemMetrics }] : [];
+    case 'apiStatus':
+      return appData.apiStatus.map(api => ({ name: api.name, metrics: api }));
+    case 'lambdaMetrics':
+      return appData.lambdaMetrics.map(lambda => ({ name: lambda.functionName, metrics: lambda }));
+    default:
+      return [];
+  }
+}
+
+function describeAlertRule(rule) {
+  const target = rule.target ? ` (${rule.target})` : '';
+  return `${alertSources[rule.source].label}${target} ${rule.field} ${rule.operator} ${rule.threshold}`;
+}
+
+function getActiveAlerts() {
+  return alertState.history.filter(alert => !alert.resolvedAt);
+}
+
+function isAlertMuted(alert) {
+  return alert.acknowledgedAt || (alert.snoozedUntil && new Date(alert.snoozedUntil) > new Date());
+}
+
+// Each rule is checked against every entity of its source (each API, each function);
+// an alert stays open until a later evaluation with data for that entity clears it
+function evaluateAlertRules() {
+  const now = new Date().toISOString();
+  const firing = new Set();
+  const checked = new Set();
+
+  alertState.rules.filter(rule => rule.enabled).forEach(rule => {
+    getAlertEntities(rule.source)
+      .filter(entity => !rule.target || entity.name === rule.target)
+      .forEach(entity => {
+        const raw = entity.metrics[rule.field];
+        if (raw === undefined) return;
+
+        const key = `${rule.id}:${entity.name}`;
+        const value = parseMetricNumber(raw);
+        checked.add(key);
+        if (!alertOperators[rule.operator](value, rule.threshold)) return;
+
+        firing.add(key);
+        const existing = getActiveAlerts().find(alert => alert.key === key);
+        if (existing) {
+          existing.value = raw;
+          return;
+        }
+
+        const alert = {
+          id: `${key}:${Date.now()}`,
+          key,
+          ruleId: rule.id,
+          entity: entity.name,
+          message: `${entity.name}: ${rule.field} is ${raw} (${rule.operator} ${rule.threshold})`,
+          value: raw,
+          firedAt: now,
+          acknowledgedAt: null,
+          snoozedUntil: null,
+          resolvedAt: null
+        };
+        alertState.history.unshift(alert);
+        deliverAlert(alert);
+      });
+  });
+
+  const ruleIds = new Set(alertState.rules.filter(rule => rule.enabled).map(rule => rule.id));
+  getActiveAlerts().forEach(alert => {
+    if (!ruleIds.has(alert.ruleId) || (checked.has(alert.key) && !firing.has(alert.key))) {
+      alert.resolvedAt = now;
+    }
+  });
+
+  alertState.history = alertState.history.slice(0, alertHistoryLimit);
+  saveAlertState();
+  renderNotificationBell();
+
+  // Don't wipe a rule the user is halfway through typing
+  const modal = document.getElementById('notification-center');
+  const form = document.getElementById('alert-rule-form');
+  if (modal && !modal.classList.contains('hidden') && !(form && form.contains(document.activeElement))) {
+    renderNotificationCenter();
+  }
+}
+
+function deliverAlert(alert) {
+  if (!alertState.browserNotifications || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+  new Notification('Sports Engine alert', { body: alert.message, tag: alert.key });
+}
+
+function renderNotificationBell() {
+  const count = document.getElementById('notification-count');
+  if (!count) return;
+
+  const unread = getActiveAlerts().filter(alert => !isAlertMuted(alert)).length;
+  count.textContent = unread;
+  count.classList.toggle('hidden', unread === 0);
+}
+
+function renderNotificationCenter() {
+  const container = document.getElementById('notification-center-body');
+  if (!container) return;
+
+  const active = getActiveAlerts();
+  container.innerHTML = html`
+    <section class="notification-section">
+      <h4>Active Alerts</h4>
+      ${active.length ? active.map(alert => html`
+        <div class="alert-item${isAlertMuted(alert) ? ' muted' : ''}">
+          <div class="alert-message">${alert.message}</div>
+          <div class="alert-meta">
+            Fired <span data-timestamp="${alert.firedAt}">${formatRelativeTime(alert.firedAt)}</span>
+            ${alert.acknowledgedAt ? ' · Acknowledged' : ''}
+            ${alert.snoozedUntil && new Date(alert.snoozedUntil) > new Date() ? ` · Snoozed until ${new Date(alert.snoozedUntil).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}` : ''}
+          </div>
+          <div class="alert-actions">
+            <button class="btn btn--outline btn--sm" data-alert-action="acknowledge" data-alert-id="${alert.id}" ${alert.acknowledgedAt ? 'disabled' : ''}>Acknowledge</button>
+            <button class="btn btn--outline btn--sm" data-alert-action="snooze" data-minutes="15" data-alert-id="${alert.id}">Snooze 15m</button>
+            <button class="btn btn--outline btn--sm" data-alert-action="snooze" data-minutes="60" data-alert-id="${alert.id}">Snooze 1h</button>
+          </div>
+        </div>
+      `) : html`<div class="empty-state">No active alerts.</div>`}
+    </section>
+
+    <section class="notification-section">
+      <h4>Rules</h4>
+      ${alertState.rules.map(rule => html`
+        <div class="alert-rule">
+          <label class="alert-rule-toggle">
+            <input type="checkbox" data-rule-action="toggle" data-rule-id="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+            ${describeAlertRule(rule)}
+          </label>
+          <button class="btn btn--outline btn--sm" data-rule-action="delete" data-rule-id="${rule.id}">Remove</button>
+        </div>
+      `)}
+      <form class="alert-rule-form" id="alert-rule-form">
+        <select class="form-control" name="source">
+          ${Object.entries(alertSources).map(([key, source]) => html`<option value="${key}">${source.label}</option>`)}
+        </select>
+        <select class="form-control" name="field">
+          ${alertSources.systemMetrics.fields.map(field => html`<option value="${field}">${field}</option>`)}
+        </select>
+        <select class="form-control" name="operator">
+          ${Object.keys(alertOperators).map(operator => html`<option value="${operator}">${operator}</option>`)}
+        </select>
+        <input class="form-control" name="threshold" type="number" step="any" placeholder="Threshold" required>
+        <input class="form-control" name="target" type="text" placeholder="Only for (optional)">
+        <button class="btn btn--primary btn--sm" type="submit">Add Rule</button>
+      </form>
+    </section>
+
+    <section class="notification-section">
+      <h4>History</h4>
+      ${alertState.history.length ? html`
+        <ul class="alert-history">
+          ${alertState.history.slice(0, 50).map(alert => html`
+            <li>
+              <span class="status status--${alert.resolvedAt ? 'info' : 'warning'}">${alert.resolvedAt ? 'Resolved' : 'Active'}</span>
+              ${alert.message}
+              <span class="alert-meta" data-timestamp="${alert.firedAt}">${formatRelativeTime(alert.firedAt)}</span>
+            </li>
+          `)}
+        </ul>
+      ` : html`<div class="empty-state">No alerts have fired yet.</div>`}
+    </section>
+  `;
+}
+
+function setupNotificationCenter() {
+  const bell = document.getElementById('notification-bell');
+  const modal = document.getElementById('notification-center');
+  if (!bell || !modal) return;
+
+  bell.addEventListener('click', () => {
+    renderNotificationCenter();
+    modal.classList.remove('hidden');
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('[data-close-modal]')) {
+      modal.classList.add('hidden');
+      return;
+    }
+
+    const alertButton = e.target.closest('[data-alert-action]');
+    if (alertButton) {
+      const alert = alertState.history.find(a => a.id === alertButton.dataset.alertId);
+      if (!alert) return;
+
+      if (alertButton.dataset.alertAction === 'acknowledge') {
+        alert.acknowledgedAt = new Date().toISOString();
+      } else {
+        alert.snoozedUntil = new Date(Date.now() + Number(alertButton.dataset.minutes) * 60000).toISOString();
+      }
+      saveAlertState();
+      renderNotificationBell();
+      renderNotificationCenter();
+      return;
+    }
+
+    const ruleButton = e.target.closest('[data-rule-action="delete"]');
+    if (ruleButton) {
+      alertState.rules = alertState.rules.filter(rule => rule.id !== ruleButton.dataset.ruleId);
+      evaluateAlertRules();
+      renderNotificationCenter();
+    }
+  });
+
+  modal.addEventListener('change', (e) => {
+    if (e.target.dataset.ruleAction === 'toggle') {
+      const rule = alertState.rules.find(r => r.id === e.target.dataset.ruleId);
+      rule.enabled = e.target.checked;
+      evaluateAlertRules();
+    } else if (e.target.name === 'source') {
+      e.target.form.elements.field.innerHTML = html`${alertSources[e.target.value].fields
+        .map(field => html`<option value="${field}">${field}</option>`)}`;
+    } else if (e.target.id === 'browser-notifications') {
+      setBrowserNotifications(e.target.checked);
+    }
+  });
+
+  modal.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = e.target.elements;
+    alertState.rules.push({
+      id: `rule-${Date.now()}`,
+      source: form.source.value,
+      field: form.field.value,
+      operator: form.operator.value,
+      threshold: Number(form.threshold.value),
+      target: form.target.value.trim(),
+      enabled: true
+    });
+    evaluateAlertRules();
+    renderNotificationCenter();
+  });
+
+  const toggle = document.getElementById('browser-notifications');
+  toggle.checked = alertState.browserNotifications;
+  renderNotificationBell();
+}
+
+async function setBrowserNotifications(enabled) {
+  if (enabled && 'Notification' in window && Notification.permission === 'default') {
+    await Notification.requestPermission();
+  }
+  alertState.browserNotifications = enabled && 'Notification' in window && Notification.permission === 'granted';
+  document.getElementById('browser-notifications').checked = alertState.browserNotifications;
+  saveAlertState();
+}
+
+// Alert sources are refreshed on a timer so rules fire whichever page is open
+function startAlerting() {
+  const refresh = () => loadData(['systemMetrics', 'apiStatus', 'lambdaMetrics']).then(() => {
+    refreshEventSources();
+    renderProviderPriority();
+    renderArchitectureDiagram();
+  });
+  refresh();
+  setInterval(refresh, 30000);
 }
 
 // Real-time updates
@@ -770,73 +5624,35 @@ function startRealTimeUpdates() {
     updateRealTimeMetrics();
   }, 5000);
 
-  // Update last updated timestamp
-  setInterval(() => {
-    const lastUpdatedElement = document.getElementById('last-updated');
-    if (lastUpdatedElement) {
-      lastUpdatedElement.textContent = 'now';
-    }
-  }, 1000);
+  // Tick every relative timestamp and staleness highlight
+  setInterval(tickRelativeTimes, 1000);
 }
 
 function updateRealTimeMetrics() {
   // Simulate real-time metric updates
-  const latencyElement = document.getElementById('latency');
-  if (latencyElement) {
-    const currentLatency = parseInt(latencyElement.textContent);
-    const newLatency = Math.max(50, currentLatency + Math.floor(Math.random() * 20) - 10);
-    latencyElement.textContent = newLatency + 'ms';
-  }
+  const metrics = appData.systemMetrics;
+  if (!metrics.latency) return;
 
-  const throughputElement = document.getElementById('throughput');
-  if (throughputElement) {
-    const currentThroughput = parseInt(throughputElement.textContent.replace(/,/g, ''));
-    const newThroughput = Math.max(5000, currentThroughput + Math.floor(Math.random() * 1000) - 500);
-    throughputElement.textContent = newThroughput.toLocaleString();
-  }
+  const latency = Math.max(50, parseMetricNumber(metrics.latency) + Math.floor(Math.random() * 20) - 10);
+  metrics.latency = `${latency}ms`;
 
-  // Update active streams
-  const activeStreamsElement = document.getElementById('active-streams');
-  if (activeStreamsElement) {
-    const currentStreams = parseInt(activeStreamsElement.textContent.replace(/,/g, ''));
-    const newStreams = Math.max(4000, currentStreams + Math.floor(Math.random() * 200) - 100);
-    activeStreamsElement.textContent = newStreams.toLocaleString();
-  }
+  const throughput = Math.max(5000, parseMetricNumber(metrics.throughput) + Math.floor(Math.random() * 1000) - 500);
+  metrics.throughput = `${throughput.toLocaleString()} streams/sec`;
+
+  const streams = Math.max(4000, parseMetricNumber(metrics.activeStreams) + Math.floor(Math.random() * 200) - 100);
+  metrics.activeStreams = streams.toLocaleString();
+
+  renderMetricWidgets();
 }
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
   initializeNavigation();
-  initializeDashboard(); // Initialize default page
+  setupLineMovement();
+  setupNotificationCenter();
+  setupToasts();
+  setupExports();
+  applyRoute(); // Restore the page from the URL, defaulting to the dashboard
   startRealTimeUpdates();
+  startAlerting();
 });
-
-// Add some CSS for odds display
-const style = document.createElement('style');
-style.textContent = `
-  .odds-grid {
-    display: grid;
-    grid-template-columns: repeat(3, 1fr);
-    gap: var(--space-12);
-    margin: var(--space-12) 0;
-  }
-  
-  .odds-section {
-    text-align: center;
-    padding: var(--space-8);
-    background: var(--color-background);
-    border-radius: var(--radius-sm);
-  }
-  
-  .odds-label {
-    font-size: var(--font-size-xs);
-    color: var(--color-text-secondary);
-    margin-bottom: var(--space-4);
-  }
-  
-  .odds-values {
-    font-weight: var(--font-weight-bold);
-    color: var(--color-text);
-  }
-`;
-document.head.appendChild(style);
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+// Rule cooldowns aren't modelled; an alert is muted by acknowledging or snoozing it, and a
+// rule doesn't fire again for an entity while its alert is still open
+describe('alert rules', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    app.evaluate(`
+      alertState.rules = [
+        { id: 'api-quota', source: 'apiStatus', field: 'quotaUsed', operator: '>', threshold: 85, target: '', enabled: true }
+      ];
+      alertState.history = [];
+      appData.apiStatus = [
+        { name: 'SportsDataIO', quotaUsed: '90%' },
+        { name: 'Sportradar', quotaUsed: '40%' }
+      ];
+    `);
+  });
+
+  function evaluateRules() {
+    app.evaluate('evaluateAlertRules()');
+    return JSON.parse(app.evaluate('JSON.stringify(alertState.history)'));
+  }
+
+  function setQuotaUsed(name, value) {
+    app.evaluate(`appData.apiStatus.find(api => api.name === '${name}').quotaUsed = '${value}'`);
+  }
+
+  it('fires one alert per entity over the threshold', () => {
+    const history = evaluateRules();
+    assert.equal(history.length, 1);
+    assert.equal(history[0].key, 'api-quota:SportsDataIO');
+    assert.equal(history[0].value, '90%');
+    assert.equal(history[0].resolvedAt, null);
+  });
+
+  it('does not fire again while the alert is open, but tracks the latest value', () => {
+    evaluateRules();
+    setQuotaUsed('SportsDataIO', '97%');
+    const history = evaluateRules();
+    assert.equal(history.length, 1);
+    assert.equal(history[0].value, '97%');
+  });
+
+  it('resolves when the entity recovers and fires a new alert if it breaches again', () => {
+    evaluateRules();
+    setQuotaUsed('SportsDataIO', '60%');
+    let history = evaluateRules();
+    assert.ok(history[0].resolvedAt);
+
+    setQuotaUsed('SportsDataIO', '88%');
+    history = evaluateRules();
+    assert.equal(history.length, 2);
+    assert.equal(history[0].resolvedAt, null);
+  });
+
+  it('keeps an alert open when its entity has no data this time', () => {
+    evaluateRules();
+    app.evaluate("appData.apiStatus = [{ name: 'Sportradar', quotaUsed: '40%' }]");
+    assert.equal(evaluateRules()[0].resolvedAt, null);
+  });
+
+  it('resolves alerts of a rule that has been disabled', () => {
+    evaluateRules();
+    app.evaluate('alertState.rules[0].enabled = false');
+    assert.ok(evaluateRules()[0].resolvedAt);
+  });
+
+  it('only checks the targeted entity', () => {
+    app.evaluate("alertState.rules[0].target = 'Sportradar'");
+    assert.equal(evaluateRules().length, 0);
+  });
+
+  it('mutes acknowledged alerts and snoozed alerts until the snooze ends', () => {
+    evaluateRules();
+    const count = () => app.document.getElementById('notification-count').textContent;
+    assert.equal(count(), '1');
+
+    app.evaluate('alertState.history[0].snoozedUntil = new Date(Date.now() + 60000).toISOString()');
+    assert.ok(app.evaluate('isAlertMuted(alertState.history[0])'));
+    assert.equal(evaluateRules().length, 1);
+    assert.equal(count(), '0');
+
+    app.evaluate('alertState.history[0].snoozedUntil = new Date(Date.now() - 1000).toISOString()');
+    assert.ok(!app.evaluate('isAlertMuted(alertState.history[0])'));
+    evaluateRules();
+    assert.equal(count(), '1');
+
+    app.evaluate('alertState.history[0].acknowledgedAt = new Date().toISOString()');
+    assert.ok(app.evaluate('isAlertMuted(alertState.history[0])'));
+    assert.equal(evaluateRules().length, 1);
+    assert.equal(count(), '0');
+  });
+});
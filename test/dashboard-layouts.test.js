@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+describe('dashboard layout import', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  it('keeps layouts named like object internals as ordinary layouts', async () => {
+    const widgets = [{ id: 'uptime', type: 'metric', size: 'small', options: { metric: 'uptime' } }];
+    const body = `{"version": 1, "layouts": {"__proto__": ${JSON.stringify(widgets)}, "constructor": ${JSON.stringify(widgets)}}}`;
+    // jsdom's File has no text(), so a stand-in provides what the importer reads
+    app.window.testFile = { name: 'layouts.json', text: async () => body };
+    await app.evaluate('importDashboardLayouts(testFile)');
+
+    assert.deepEqual([...app.evaluate('dashboardState.layouts.keys()')], ['__proto__', 'constructor']);
+    assert.equal(app.evaluate('Object.getPrototypeOf(dashboardState.layouts) === Map.prototype'), true);
+    assert.equal(app.evaluate('dashboardState.active'), '__proto__');
+    assert.equal(app.evaluate('getActiveWidgets().length'), 1);
+
+    const select = app.document.getElementById('dashboard-layout');
+    assert.ok([...select.options].some(option => option.value === 'constructor'));
+    assert.equal(app.document.getElementById('dashboard-delete').textContent, 'Delete Layout');
+
+    const stored = JSON.parse(app.window.localStorage.getItem('dashboardLayouts'));
+    assert.deepEqual(Object.keys(stored.layouts), ['__proto__', 'constructor']);
+    assert.deepEqual(app.errors, []);
+  });
+
+  it('falls back to the default layout after deleting one named like a built-in property', () => {
+    app.evaluate("switchDashboardLayout('constructor')");
+    app.document.getElementById('dashboard-delete').click();
+    assert.equal(app.evaluate('dashboardState.active'), 'Default');
+    assert.equal(app.evaluate('dashboardState.layouts.has("constructor")'), false);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, navigate, wait } = require('./helpers/app');
+
+const payload = '<img src=x onerror="window.injected = true">';
+
+// Every provider-supplied name the renderers show gets the payload
+function injectMaliciousNames(app) {
+  app.window.maliciousName = payload;
+  app.evaluate(`
+    mockData.liveEvents.forEach(event => {
+      event.homeTeam = maliciousName + event.homeTeam;
+      event.awayTeam = maliciousName + event.awayTeam;
+    });
+    mockData.bettingOdds.forEach(odds => {
+      odds.bookmaker = maliciousName + odds.bookmaker;
+    });
+    mockData.apiStatus.push({ ...mockData.apiStatus[0], name: maliciousName, quotaUsed: '95%' });
+    mockData.lambdaMetrics.push({ ...mockData.lambdaMetrics[0], functionName: maliciousName });
+    mockData.costBreakdown[0].service = maliciousName;
+    mockData.providerReports[5].source = maliciousName;
+    mockData.liveEvents.push({ id: 'rejected', source: maliciousName, homeTeam: maliciousName });
+  `);
+}
+
+function assertEscaped(app, container) {
+  assert.ok(container, 'container is rendered');
+  assert.ok(container.textContent.includes(payload), 'the name is shown as text');
+  assert.equal(container.querySelector('img'), null);
+  assert.equal(app.document.querySelector('[onerror]'), null);
+  assert.equal(app.window.injected, undefined);
+  assert.deepEqual(app.errors, []);
+}
+
+describe('malicious provider names', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp({ setup: injectMaliciousNames });
+  });
+
+  after(() => app.close());
+
+  it('are escaped in the live feed events and odds', async () => {
+    await navigate(app, '#/live-feed');
+    assertEscaped(app, app.document.getElementById('live-events'));
+    assertEscaped(app, app.document.getElementById('betting-odds'));
+  });
+
+  it('are escaped in the event detail view', async () => {
+    await navigate(app, '#/event/nfl_chiefs_bills');
+    assertEscaped(app, app.document.getElementById('event-detail-content'));
+    assert.ok(app.document.getElementById('event-detail-title').textContent.includes(payload));
+  });
+
+  it('are escaped in dashboard widgets', async () => {
+    await navigate(app, '#/dashboard');
+    app.evaluate("switchDashboardLayout('Trading')");
+    await wait(100);
+    assertEscaped(app, app.document.getElementById('dashboard-widgets'));
+  });
+
+  it('are escaped in the API cards', async () => {
+    await navigate(app, '#/api-management');
+    assertEscaped(app, app.document.getElementById('api-list'));
+  });
+
+  it('are escaped in the Lambda cards', async () => {
+    await navigate(app, '#/monitoring');
+    assertEscaped(app, app.document.getElementById('lambda-metrics'));
+  });
+
+  it('are escaped in the cost table', async () => {
+    await navigate(app, '#/cost-analysis');
+    assertEscaped(app, app.document.getElementById('cost-table-body'));
+  });
+
+  it('are escaped in the notification center', async () => {
+    app.document.getElementById('notification-bell').click();
+    assertEscaped(app, app.document.getElementById('notification-center-body'));
+  });
+
+  it('are escaped in the rejected payloads list', async () => {
+    await navigate(app, '#/api-management');
+    assertEscaped(app, app.document.getElementById('quarantine-list'));
+  });
+
+  it('are escaped in the discrepancy queue', async () => {
+    await navigate(app, '#/live-feed');
+    assertEscaped(app, app.document.getElementById('discrepancy-queue'));
+  });
+
+  it('are escaped in watched game toasts', () => {
+    app.evaluate(`
+      toggleWatch('events', 'nfl_chiefs_bills');
+      applyLiveMessage({ type: 'live_scores', data: { id: 'nfl_chiefs_bills', score: { home: 28, away: 17 } } });
+    `);
+    assertEscaped(app, app.document.getElementById('toast-container'));
+  });
+});
+
+describe('trusted markup', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  it('passes through unescaped while interpolated strings are still escaped', () => {
+    app.window.maliciousName = payload;
+    const markup = app.evaluate("html`<div>${trustedHtml('<strong>Final</strong>')} ${maliciousName}</div>`.toString()");
+    assert.equal(markup, '<div><strong>Final</strong> &lt;img src=x onerror=&quot;window.injected = true&quot;&gt;</div>');
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+describe('game state', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  function parse(sport, status) {
+    return JSON.parse(app.evaluate(`JSON.stringify(parseGameState(${JSON.stringify(sport)}, ${JSON.stringify(status)}))`));
+  }
+
+  function format(sport, state) {
+    return app.evaluate(`formatGameState(${JSON.stringify(sport)}, ${JSON.stringify(state)})`);
+  }
+
+  it('parses final and scheduled status text for any sport', () => {
+    assert.deepEqual(parse('NFL', 'Final'), { phase: 'final' });
+    assert.deepEqual(parse('Soccer', 'FT'), { phase: 'final' });
+    assert.deepEqual(parse('NBA', ''), { phase: 'pre' });
+    assert.deepEqual(parse('MLB', 'Scheduled'), { phase: 'pre' });
+  });
+
+  it('parses period and clock for clock sports', () => {
+    assert.deepEqual(parse('NFL', 'Q3 - 8:47'), { phase: 'live', period: 3, clock: 527 });
+    assert.deepEqual(parse('NBA', '4th quarter - 0:09'), { phase: 'live', period: 4, clock: 9 });
+    assert.deepEqual(parse('NHL', 'P2'), { phase: 'live', period: 2, clock: null });
+    assert.deepEqual(parse('NBA', '2OT - 1:30'), { phase: 'live', period: 6, clock: 90 });
+    assert.deepEqual(parse('NFL', 'Halftime'), { phase: 'live', period: 2, clock: 0 });
+  });
+
+  it('parses half and minute for soccer', () => {
+    assert.deepEqual(parse('Soccer', "67'"), { phase: 'live', period: 2, minute: 67 });
+    assert.deepEqual(parse('Soccer', "45+2'"), { phase: 'live', period: 1, minute: 45 });
+    assert.deepEqual(parse('Soccer', 'HT'), { phase: 'live', period: 1, minute: 45 });
+  });
+
+  it('parses inning, half and outs for baseball', () => {
+    assert.deepEqual(parse('MLB', 'Bottom 7th'), {
+      phase: 'live', inning: 7, half: 'bottom', outs: 0, runners: [false, false, false]
+    });
+    assert.deepEqual(parse('MLB', 'Top of 9 - 2 outs'), {
+      phase: 'live', inning: 9, half: 'top', outs: 2, runners: [false, false, false]
+    });
+  });
+
+  it('falls back to a bare live state for unknown sports and text', () => {
+    assert.deepEqual(parse('Cricket', 'Day 2'), { phase: 'live' });
+    assert.deepEqual(parse('NFL', 'Weather delay'), { phase: 'live' });
+  });
+
+  it('formats each sport on its own terms', () => {
+    assert.equal(format('NFL', { phase: 'live', period: 3, clock: 527 }), 'Q3 - 8:47');
+    assert.equal(format('NHL', { phase: 'live', period: 4, clock: null }), 'OT');
+    assert.equal(format('NBA', { phase: 'live', period: 6, clock: 90 }), '2OT - 1:30');
+    assert.equal(format('Soccer', { phase: 'live', period: 2, minute: null }), '2nd half');
+    assert.equal(format('MLB', { phase: 'live', inning: 7, half: 'bottom', outs: 1 }), 'Bottom 7th');
+    assert.equal(format('NBA', { phase: 'final' }), 'Final');
+    assert.equal(format('Cricket', { phase: 'live' }), 'In progress');
+  });
+
+  it('round-trips the statuses it formats', () => {
+    [
+      ['NFL', { phase: 'live', period: 2, clock: 65 }],
+      ['NHL', { phase: 'live', period: 5, clock: 300 }],
+      ['Soccer', { phase: 'live', period: 2, minute: 81 }],
+      ['MLB', { phase: 'live', inning: 11, half: 'top', outs: 0, runners: [false, false, false] }]
+    ].forEach(([sport, state]) => {
+      assert.deepEqual(parse(sport, format(sport, state)), state);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Loads index.html and app.js into jsdom on the mock provider. Chart.js, canvas, fetch and
+// WebSocket are stubbed. evaluate() runs code in the app's scope, where its top-level consts
+// live; setup gets the app before it starts, so tests can change mockData first. Errors
+// thrown inside the app are collected in errors.
+async function loadApp({ hash = '', setup } = {}) {
+  const markup = fs.readFileSync(path.join(root, 'index.html'), 'utf8')
+    .replace(/<script\b[^>]*><\/script>/g, '');
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = new JSDOM(markup, {
+    url: `http://localhost/${hash}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  window.Chart = class {
+    constructor(ctx, config) {
+      this.config = config;
+      this.data = config.data;
+      this.options = config.options;
+    }
+    destroy() {}
+    update() {}
+    resize() {}
+    toBase64Image() {
+      return 'data:image/png;base64,';
+    }
+  };
+  window.HTMLCanvasElement.prototype.getContext = () => ({});
+  window.fetch = () => Promise.reject(new Error('No network in tests'));
+  window.WebSocket = class {
+    send() {}
+    close() {}
+  };
+
+  window.eval(`${fs.readFileSync(path.join(root, 'app.js'), 'utf8')}\n;window.evaluateInApp = code => eval(code);`);
+  const app = {
+    window,
+    document: window.document,
+    errors,
+    evaluate: code => window.evaluateInApp(code),
+    close: () => window.close()
+  };
+  if (setup) {
+    setup(app);
+  }
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  } else {
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  }
+  await wait(50);
+  return app;
+}
+
+// Page initializers load their data asynchronously, so give them a moment to render
+async function navigate(app, hash) {
+  app.window.location.hash = hash;
+  await wait(100);
+}
+
+module.exports = { loadApp, navigate, wait };
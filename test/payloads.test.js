@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const updated = '2026-10-19T18:30:00Z';
+
+// Native payloads as each provider sends them, with no source tag
+const nativePayloads = {
+  SportsDataIO: {
+    GameKey: '202410120',
+    HomeTeam: 'Kansas City Chiefs',
+    AwayTeam: 'Buffalo Bills',
+    HomeScore: 24,
+    AwayScore: 17,
+    Status: 'InProgress',
+    Quarter: 3,
+    TimeRemainingMinutes: 6,
+    TimeRemainingSeconds: 5,
+    Updated: updated
+  },
+  Sportradar: {
+    id: 'sr:match:4411',
+    home: { name: 'LA Lakers', points: 97 },
+    away: { name: 'Golden State Warriors', points: 92 },
+    status: 'inprogress',
+    quarter: 4,
+    clock: '1:50',
+    updated
+  },
+  'API-Sports': {
+    game: { id: 118, date: updated, status: { short: 'IN7', long: 'Inning 7' } },
+    teams: { home: { name: 'New York Yankees' }, away: { name: 'Boston Red Sox' } },
+    scores: { home: { total: '5' }, away: { total: 2 } }
+  }
+};
+
+describe('native provider payloads', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  function accept(raw, options) {
+    app.window.testPayload = raw;
+    app.window.testOptions = options;
+    return app.evaluate("acceptPayloads('liveEvents', [testPayload], testOptions)");
+  }
+
+  function rejectedCount() {
+    return app.evaluate('quarantine.records.length');
+  }
+
+  it('maps a SportsDataIO game to its canonical event', () => {
+    const [event] = accept(nativePayloads.SportsDataIO);
+    assert.equal(event.id, 'nfl_chiefs_bills');
+    assert.equal(event.sport, 'NFL');
+    assert.equal(event.source, 'SportsDataIO');
+    assert.deepEqual({ ...event.score }, { home: 24, away: 17 });
+    assert.equal(event.status, 'Q3 - 6:05');
+    assert.equal(rejectedCount(), 0);
+  });
+
+  it('maps a Sportradar game to its canonical event', () => {
+    const [event] = accept(nativePayloads.Sportradar);
+    assert.equal(event.id, 'nba_lakers_warriors');
+    assert.equal(event.sport, 'NBA');
+    assert.equal(event.source, 'Sportradar');
+    assert.deepEqual({ ...event.score }, { home: 97, away: 92 });
+    assert.equal(event.status, 'Q4 - 1:50');
+    assert.equal(rejectedCount(), 0);
+  });
+
+  it('maps an API-Sports game to its canonical event', () => {
+    const [event] = accept(nativePayloads['API-Sports']);
+    assert.equal(event.id, 'mlb_yankees_redsox');
+    assert.equal(event.sport, 'MLB');
+    assert.equal(event.source, 'API-Sports');
+    assert.deepEqual({ ...event.score }, { home: 5, away: 2 });
+    assert.equal(event.status, 'Inning 7');
+    assert.equal(rejectedCount(), 0);
+  });
+
+  it('applies a partial update carrying only the provider id and score', () => {
+    accept(nativePayloads.SportsDataIO);
+    const [update] = accept({ GameKey: '202410120', HomeScore: 27, AwayScore: 17 }, { partial: true });
+    assert.equal(update.id, 'nfl_chiefs_bills');
+    assert.deepEqual(Object.keys(update).sort(), ['id', 'score', 'source', 'sport']);
+
+    app.window.testUpdate = update;
+    app.evaluate('applyScoreUpdate(testUpdate)');
+    const event = app.evaluate("appData.liveEvents.find(e => e.id === 'nfl_chiefs_bills')");
+    assert.deepEqual({ ...event.score }, { home: 27, away: 17 });
+    assert.equal(event.status, 'Q3 - 8:47');
+    assert.equal(event.sport, 'NFL');
+    assert.equal(rejectedCount(), 0);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+const periodStart = '2026-10-01T00:00:00Z';
+const periodEnd = '2026-11-01T00:00:00Z';
+const now = Date.parse('2026-10-11T12:00:00Z');
+
+// Ten full days and today's partial one; the last seven full days burn 1,000 calls each
+function buildQuota(limit, calls = [500, 500, 500, 1000, 1000, 1000, 1000, 1000, 1000, 1000, 300]) {
+  return {
+    name: 'SportsDataIO',
+    limit,
+    pollingInterval: 30,
+    periodStart,
+    periodEnd,
+    dailyUsage: calls.map((value, i) => ({ date: `2026-10-${String(i + 1).padStart(2, '0')}`, calls: value }))
+  };
+}
+
+describe('quota forecasting', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  function forecast(quota, at = now) {
+    app.window.testQuota = quota;
+    return JSON.parse(app.evaluate(`JSON.stringify(forecastQuota(testQuota, ${at}))`));
+  }
+
+  it('projects the recent burn rate to exhaustion and recommends a slower polling interval', () => {
+    const result = forecast(buildQuota(20000));
+    assert.equal(result.used, 8800);
+    assert.equal(result.burnRate, 1000);
+    assert.equal(result.willExhaust, true);
+    assert.equal(result.exhaustionAt, now + 11.2 * 24 * 60 * 60 * 1000);
+    assert.equal(result.projectedRatio, (8800 + 1000 * 20.5) / 20000);
+    // 11,200 calls over 20.5 days is about 546 a day, so polling has to slow from 30s to 55s
+    assert.equal(result.recommendedInterval, 55);
+    assert.ok(Math.abs(result.reduction - (1 - 11200 / 20.5 / 1000)) < 1e-9);
+  });
+
+  it('stays on track when the quota outlasts the period', () => {
+    const result = forecast(buildQuota(50000));
+    assert.equal(result.willExhaust, false);
+    assert.equal(result.recommendedInterval, null);
+    assert.equal(result.reduction, 0);
+  });
+
+  it('uses the period average before a full day has been recorded', () => {
+    const result = forecast(buildQuota(20000, [200]), Date.parse('2026-10-01T06:00:00Z'));
+    assert.equal(result.burnRate, 800);
+  });
+
+  it('has no exhaustion time when nothing is being used', () => {
+    const result = forecast(buildQuota(20000, [0, 0, 0]));
+    assert.equal(result.burnRate, 0);
+    assert.equal(result.exhaustionAt, null);
+    assert.equal(result.willExhaust, false);
+  });
+
+  it('reports an exhausted quota without a polling interval that could fit', () => {
+    const result = forecast(buildQuota(8000));
+    assert.equal(result.willExhaust, true);
+    assert.equal(result.exhaustionAt, now);
+    assert.equal(result.recommendedInterval, null);
+    assert.equal(result.reduction, 1);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/app');
+
+function report(source, home, status, timestamp) {
+  return { gameId: 'nfl_chiefs_bills', source, score: { home, away: 17 }, status, timestamp };
+}
+
+describe('score reconciliation', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    app.evaluate(`
+      reconciliation.reports.clear();
+      reconciliation.discrepancies.clear();
+      reconciliation.dismissed.clear();
+      reconciliation.comparisons = 0;
+      reconciliation.agreements = 0;
+      reconciliation.loaded = false;
+    `);
+  });
+
+  function ingest(...reports) {
+    app.window.testReports = reports;
+    app.evaluate('testReports.forEach(ingestProviderReport)');
+  }
+
+  function getDiscrepancy() {
+    return app.evaluate("reconciliation.discrepancies.get('nfl_chiefs_bills')");
+  }
+
+  it('treats clocks that drift within the same period as agreeing', () => {
+    ingest(
+      report('SportsDataIO', 21, 'Q3 - 8:47', '2026-10-19T18:00:02Z'),
+      report('Sportradar', 21, 'Q3 - 8:55', '2026-10-19T18:00:01Z')
+    );
+    assert.equal(getDiscrepancy(), undefined);
+    assert.equal(app.evaluate('getAccuracy()'), 1);
+  });
+
+  it('flags reports in different periods as a status mismatch', () => {
+    ingest(
+      report('SportsDataIO', 21, 'Q4 - 14:58', '2026-10-19T18:00:02Z'),
+      report('Sportradar', 21, 'Q3 - 0:04', '2026-10-19T18:00:01Z')
+    );
+    assert.deepEqual([...getDiscrepancy().fields], ['status']);
+    assert.equal(app.evaluate('getAccuracy()'), 0);
+  });
+
+  it('ignores a report that arrives after a newer one from the same provider', () => {
+    ingest(
+      report('SportsDataIO', 24, 'Q3 - 6:10', '2026-10-19T18:05:00Z'),
+      report('Sportradar', 24, 'Q3 - 6:12', '2026-10-19T18:05:01Z'),
+      report('Sportradar', 21, 'Q3 - 8:49', '2026-10-19T18:00:00Z')
+    );
+    assert.equal(getDiscrepancy(), undefined);
+    assert.equal(app.evaluate('reconciliation.comparisons'), 1);
+    assert.equal(app.evaluate("reconciliation.reports.get('nfl_chiefs_bills').get('Sportradar').score.home"), 24);
+  });
+
+  it('keeps a discrepancy open until the late provider catches up', () => {
+    ingest(
+      report('SportsDataIO', 24, 'Q3 - 6:10', '2026-10-19T18:05:00Z'),
+      report('Sportradar', 21, 'Q3 - 8:49', '2026-10-19T18:00:00Z')
+    );
+    assert.deepEqual([...getDiscrepancy().fields], ['score']);
+
+    ingest(report('Sportradar', 24, 'Q3 - 6:02', '2026-10-19T18:05:09Z'));
+    assert.equal(getDiscrepancy(), undefined);
+    assert.equal(app.evaluate('getAccuracy()'), 0.5);
+  });
+
+  it('reconciles loaded reports only once', () => {
+    app.evaluate('reconcileLoadedReports()');
+    const comparisons = app.evaluate('reconciliation.comparisons');
+    assert.ok(comparisons > 0);
+    assert.deepEqual([...app.evaluate('reconciliation.discrepancies.keys()')], ['mlb_yankees_redsox']);
+
+    app.evaluate('reconcileLoadedReports()');
+    assert.equal(app.evaluate('reconciliation.comparisons'), comparisons);
+  });
+});
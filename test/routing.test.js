@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, navigate, wait } = require('./helpers/app');
+
+describe('filter history', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+  });
+
+  after(() => app.close());
+
+  function change(element, events = ['input', 'change']) {
+    events.forEach(type => element.dispatchEvent(new app.window.Event(type, { bubbles: true })));
+  }
+
+  async function go(direction) {
+    app.window.history[direction]();
+    await wait(150);
+  }
+
+  it('steps back and forward through feed filter changes', async () => {
+    await navigate(app, '#/live-feed');
+    const form = app.document.getElementById('feed-filters');
+    const nba = form.querySelector('input[name="sport"][value="NBA"]');
+    nba.checked = true;
+    change(nba);
+    assert.equal(app.window.location.hash, '#/live-feed?sport=NBA');
+
+    await go('back');
+    assert.equal(app.window.location.hash, '#/live-feed');
+    assert.equal(nba.checked, false);
+    assert.equal(app.evaluate('feedFilters.sports.length'), 0);
+
+    await go('forward');
+    assert.equal(nba.checked, true);
+    assert.deepEqual([...app.evaluate('feedFilters.sports')], ['NBA']);
+  });
+
+  it('adds one entry for a search rather than one per keystroke', async () => {
+    await navigate(app, '#/live-feed');
+    const team = app.document.getElementById('feed-filters').elements.team;
+    const length = app.window.history.length;
+    ['L', 'La', 'Lak'].forEach(value => {
+      team.value = value;
+      change(team, ['input']);
+    });
+    assert.equal(app.window.history.length, length);
+
+    change(team, ['change']);
+    assert.equal(app.window.history.length, length + 1);
+    assert.equal(app.window.location.hash, '#/live-feed?q=Lak');
+  });
+
+  it('steps back through time range changes', async () => {
+    await navigate(app, '#/monitoring');
+    const select = app.document.getElementById('time-range');
+    select.value = '7d';
+    change(select, ['change']);
+    assert.equal(app.window.location.hash, '#/monitoring?range=7d');
+
+    await go('back');
+    assert.equal(app.window.location.hash, '#/monitoring');
+    assert.equal(select.value, '24h');
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, navigate } = require('./helpers/app');
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// A 30-day period ten days in: ten full days at the daily rate and a partial day today
+function buildQuota(name, { limit, dailyCalls, today, monthlyFee, overagePer1k, pollingInterval }) {
+  const periodStart = Date.now() - 10 * dayMs;
+  return {
+    name,
+    limit,
+    monthlyFee,
+    overagePer1k,
+    pollingInterval,
+    periodStart: new Date(periodStart).toISOString(),
+    periodEnd: new Date(periodStart + 30 * dayMs).toISOString(),
+    dailyUsage: [...Array(10).fill(dailyCalls), today].map((calls, i) => ({
+      date: new Date(periodStart + i * dayMs).toISOString().slice(0, 10),
+      calls
+    }))
+  };
+}
+
+function approx(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} is not ${expected}`);
+}
+
+describe('unit economics', () => {
+  let app;
+
+  before(async () => {
+    app = await loadApp();
+    await navigate(app, '#/cost-analysis');
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    app.window.testQuotas = [
+      // Projects about 304,000 calls against 300,000, so it bills 4k calls of overage
+      buildQuota('SportsDataIO', { limit: 300000, dailyCalls: 10000, today: 4000, monthlyFee: 100, overagePer1k: 2, pollingInterval: 10 }),
+      // Projects about 152,000 calls against 100,000
+      buildQuota('API-Sports', { limit: 100000, dailyCalls: 5000, today: 2000, monthlyFee: 50, overagePer1k: 1, pollingInterval: 15 })
+    ];
+    app.evaluate(`
+      appData.apiQuotas = testQuotas;
+      Object.keys(whatIfScenario).forEach(name => delete whatIfScenario[name]);
+    `);
+  });
+
+  function evaluateJson(code) {
+    return JSON.parse(app.evaluate(`JSON.stringify(${code})`));
+  }
+
+  it('bills the monthly fee within quota and overage per 1k calls beyond it', () => {
+    const quota = { limit: 1000, monthlyFee: 100, overagePer1k: 2 };
+    app.window.testQuota = quota;
+    assert.equal(app.evaluate('estimateProviderCost(testQuota, 800)'), 100);
+    assert.equal(app.evaluate('estimateProviderCost(testQuota, 3500)'), 105);
+    assert.equal(app.evaluate('estimateProviderCost({ limit: 1000 }, 3500)'), 0);
+  });
+
+  it('splits External API spend by what each plan bills, overage included', () => {
+    const external = app.evaluate("appData.costBreakdown.find(item => item.service === 'External APIs').cost");
+    const [first, second] = evaluateJson('calculateUnitEconomics().providers');
+    const firstBilled = 100 + 4000 / 1000 * 2;
+    const secondBilled = 50 + 52000 / 1000 * 1;
+
+    approx(first.cost, external * firstBilled / (firstBilled + secondBilled));
+    approx(second.cost, external * secondBilled / (firstBilled + secondBilled));
+    assert.equal(first.calls, 104000);
+    approx(first.costPerCall, first.cost / 104000);
+  });
+
+  it('has no unit costs rather than dividing by zero events, streams or calls', () => {
+    app.evaluate(`
+      appData.systemMetrics = { ...appData.systemMetrics, eventsProcessed: '0', activeStreams: '0' };
+      appData.apiQuotas.forEach(quota => quota.dailyUsage.forEach(day => { day.calls = 0; }));
+    `);
+    const economics = evaluateJson('calculateUnitEconomics()');
+    assert.equal(economics.costPer1kEvents, null);
+    assert.equal(economics.costPerStream, null);
+    economics.providers.forEach(provider => assert.equal(provider.costPerCall, null));
+
+    app.evaluate('appData.apiQuotas.forEach(quota => { quota.monthlyFee = 0; })');
+    evaluateJson('calculateUnitEconomics().providers').forEach(provider => assert.equal(provider.cost, 0));
+  });
+
+  it('prices what-if scenarios from the current burn rate', () => {
+    const baseline = evaluateJson('calculateWhatIf()');
+    assert.equal(baseline.scenario, baseline.current);
+    assert.equal(baseline.providers[0].currentCalls, 300000);
+    assert.equal(baseline.providers[0].currentCost, 100);
+    assert.equal(baseline.providers[1].currentCost, 100);
+
+    // Polling twice as often doubles the calls and pushes the first plan into overage; half
+    // the polling on the second brings it back under its quota
+    app.evaluate(`
+      whatIfScenario['SportsDataIO'] = { pollingInterval: 5, coverage: 100 };
+      whatIfScenario['API-Sports'] = { pollingInterval: 30, coverage: 100 };
+    `);
+    const faster = evaluateJson('calculateWhatIf()');
+    assert.equal(faster.providers[0].scenarioCalls, 600000);
+    assert.equal(faster.providers[0].scenarioCost, 700);
+    assert.equal(faster.providers[1].scenarioCost, 50);
+    approx(faster.scenario - faster.current, 600 - 50);
+
+    app.evaluate("whatIfScenario['SportsDataIO'] = { pollingInterval: 10, coverage: 50 }");
+    assert.equal(evaluateJson('calculateWhatIf()').providers[0].scenarioCalls, 150000);
+  });
+});